@@ -113,8 +113,52 @@ class Graph {
     return result;
   }
 
-  // Find all paths between two nodes
-  findAllPaths(start, end, maxDepth = 10) {
+  // Strongly connected components (Tarjan). A component is listed after every component
+  // reachable from it, so with edges pointing at dependencies, dependencies come first.
+  findStronglyConnectedComponents() {
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const visit = (node) => {
+      index.set(node, counter);
+      lowLink.set(node, counter);
+      counter++;
+      stack.push(node);
+      onStack.add(node);
+
+      for (const { node: neighbor } of this.getNeighbors(node)) {
+        if (!index.has(neighbor)) {
+          visit(neighbor);
+          lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(neighbor)));
+        } else if (onStack.has(neighbor)) {
+          lowLink.set(node, Math.min(lowLink.get(node), index.get(neighbor)));
+        }
+      }
+
+      if (lowLink.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component.reverse());
+      }
+    };
+
+    for (const node of this.getNodes()) {
+      if (!index.has(node)) visit(node);
+    }
+    return components;
+  }
+
+  // Find all paths between two nodes, optionally only over edges accepted by edgeFilter
+  findAllPaths(start, end, maxDepth = 10, edgeFilter = null) {
     const paths = [];
 
     const dfs = (current, path, visited) => {
@@ -125,6 +169,7 @@ class Graph {
       }
 
       for (const edge of this.getNeighbors(current)) {
+        if (edgeFilter && !edgeFilter(edge)) continue;
         if (!visited.has(edge.node)) {
           visited.add(edge.node);
           path.push({ node: edge.node, edge });
@@ -193,7 +238,9 @@ class CostState {
     this.costs = new Map(); // product:entity:period -> cost breakdown
     this.ruleOutputs = new Map(); // ruleId:product:entity:period -> output
     this.dependencies = new Map(); // key -> Set of keys that depend on it
+    this.dependsOn = new Map(); // key -> Set of keys it depends on
     this.dirty = new Set(); // keys that need recalculation
+    this.finalizedPeriods = new Map(); // period -> { targetCurrency } of its completed calculation
   }
 
   getCostKey(productId, entityId, period) {
@@ -214,6 +261,10 @@ class CostState {
     return this.costs.get(this.getCostKey(productId, entityId, period));
   }
 
+  removeCost(productId, entityId, period) {
+    this.costs.delete(this.getCostKey(productId, entityId, period));
+  }
+
   setRuleOutput(ruleId, productId, entityId, period, output) {
     const key = this.getRuleKey(ruleId, productId, entityId, period);
     this.ruleOutputs.set(key, output);
@@ -224,14 +275,47 @@ class CostState {
     return this.ruleOutputs.get(this.getRuleKey(ruleId, productId, entityId, period));
   }
 
+  finalizePeriod(period, targetCurrency) {
+    this.finalizedPeriods.set(period, { targetCurrency });
+  }
+
+  unfinalizePeriod(period) {
+    this.finalizedPeriods.delete(period);
+  }
+
+  // Costs of a completed calculation in the same currency; lookbacks read only these
+  getFinalizedCost(productId, entityId, period, targetCurrency) {
+    const finalized = this.finalizedPeriods.get(period);
+    if (!finalized || finalized.targetCurrency !== targetCurrency) return undefined;
+    return this.getCost(productId, entityId, period);
+  }
+
   addDependency(sourceKey, dependentKey) {
     if (!this.dependencies.has(sourceKey)) {
       this.dependencies.set(sourceKey, new Set());
     }
     this.dependencies.get(sourceKey).add(dependentKey);
+    if (!this.dependsOn.has(dependentKey)) {
+      this.dependsOn.set(dependentKey, new Set());
+    }
+    this.dependsOn.get(dependentKey).add(sourceKey);
+  }
+
+  // Drops the edges into a key before it is recalculated, so they reflect its latest inputs
+  clearDependencies(dependentKey) {
+    for (const sourceKey of this.dependsOn.get(dependentKey) || []) {
+      this.dependencies.get(sourceKey)?.delete(dependentKey);
+    }
+    this.dependsOn.delete(dependentKey);
+  }
+
+  getDependencies(key) {
+    return Array.from(this.dependsOn.get(key) || []);
   }
 
   markDirty(key) {
+    // Cycles (e.g. allocation shares that depend on each other) stop at keys already dirty
+    if (this.dirty.has(key)) return;
     this.dirty.add(key);
     // Propagate to dependents
     const dependents = this.dependencies.get(key);
@@ -257,6 +341,10 @@ class CostState {
     newState.dependencies = new Map(
       Array.from(this.dependencies.entries()).map(([k, v]) => [k, new Set(v)])
     );
+    newState.dependsOn = new Map(
+      Array.from(this.dependsOn.entries()).map(([k, v]) => [k, new Set(v)])
+    );
+    newState.finalizedPeriods = new Map(this.finalizedPeriods);
     return newState;
   }
 }
@@ -375,73 +463,645 @@ class BOMProcessor {
   }
 }
 
+// ============================================================================
+// ITEM MASTER
+// ============================================================================
+
+class ItemMaster {
+  constructor(items = []) {
+    this.items = new Map();
+    for (const item of items) {
+      this.items.set(item.itemId, item);
+    }
+  }
+
+  getItem(itemId) {
+    return this.items.get(itemId);
+  }
+
+  getItemType(itemId) {
+    return this.items.get(itemId)?.itemType;
+  }
+
+  getAllItems() {
+    return Array.from(this.items.values());
+  }
+}
+
+// ============================================================================
+// MONEY
+// ============================================================================
+
+// Decimal amounts held as a BigInt of units at a decimal scale. Addition and subtraction
+// are exact; multiplication and division keep MONEY_SCALE decimal places (half-even).
+const MONEY_SCALE = 18;
+const ROUNDING_MODES = ['half-even', 'half-up', 'half-down', 'up', 'down', 'ceiling', 'floor'];
+const ROUNDING_POINTS = ['component', 'rule', 'reporting'];
+// ISO 4217 minor units; currencies not listed use 2
+const MINOR_UNITS = {
+  JPY: 0, KRW: 0, VND: 0, CLP: 0, ISK: 0, PYG: 0, UGX: 0,
+  BHD: 3, KWD: 3, OMR: 3, JOD: 3, TND: 3, LYD: 3, IQD: 3
+};
+
+class Money {
+  constructor(units, scale, currency = null) {
+    this.units = units;
+    this.scale = scale;
+    this.currency = currency;
+  }
+
+  static of(value, currency = null) {
+    if (value instanceof Money) return currency ? new Money(value.units, value.scale, currency) : value;
+    const [units, scale] = Money.parse(value);
+    return new Money(units, scale, currency);
+  }
+
+  static zero(currency = null) {
+    return new Money(0n, 0, currency);
+  }
+
+  // Numbers are read from their shortest decimal representation, so 0.1 is exactly 0.1
+  static parse(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+    if (!match || (!match[2] && !match[3])) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    let digits = (whole || '0') + fraction;
+    let scale = fraction.length - Number(exponent);
+    if (scale < 0) {
+      digits += '0'.repeat(-scale);
+      scale = 0;
+    }
+    const units = BigInt(digits);
+    return [sign === '-' ? -units : units, scale];
+  }
+
+  static divide(numerator, denominator, mode) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+
+    const sign = (numerator < 0n) !== (denominator < 0n) ? -1n : 1n;
+    const twice = 2n * (remainder < 0n ? -remainder : remainder);
+    const divisor = denominator < 0n ? -denominator : denominator;
+    switch (mode) {
+      case 'down': return quotient;
+      case 'up': return quotient + sign;
+      case 'ceiling': return sign > 0n ? quotient + 1n : quotient;
+      case 'floor': return sign < 0n ? quotient - 1n : quotient;
+      case 'half-up': return twice >= divisor ? quotient + sign : quotient;
+      case 'half-down': return twice > divisor ? quotient + sign : quotient;
+      case 'half-even':
+        return twice > divisor || (twice === divisor && quotient % 2n !== 0n) ? quotient + sign : quotient;
+      default: throw new Error(`Unknown rounding mode: ${mode}`);
+    }
+  }
+
+  rescale(scale) {
+    return this.units * 10n ** BigInt(scale - this.scale);
+  }
+
+  plus(other) {
+    const b = Money.of(other);
+    const scale = Math.max(this.scale, b.scale);
+    return new Money(this.rescale(scale) + b.rescale(scale), scale, this.currency);
+  }
+
+  minus(other) {
+    return this.plus(Money.of(other).negate());
+  }
+
+  negate() {
+    return new Money(-this.units, this.scale, this.currency);
+  }
+
+  times(factor) {
+    const b = Money.of(factor);
+    const product = new Money(this.units * b.units, this.scale + b.scale, this.currency);
+    return product.scale > MONEY_SCALE ? product.round(MONEY_SCALE) : product;
+  }
+
+  dividedBy(divisor, scale = MONEY_SCALE, mode = 'half-even') {
+    const b = Money.of(divisor);
+    if (b.units === 0n) throw new Error('Division by zero');
+    // (a.units / 10^a.scale) / (b.units / 10^b.scale) at `scale` decimal places
+    const numerator = this.units * 10n ** BigInt(scale + b.scale);
+    const denominator = b.units * 10n ** BigInt(this.scale);
+    return new Money(Money.divide(numerator, denominator, mode), scale, this.currency);
+  }
+
+  round(scale, mode = 'half-even') {
+    if (this.scale <= scale) return this;
+    return new Money(Money.divide(this.units, 10n ** BigInt(this.scale - scale), mode), scale, this.currency);
+  }
+
+  isZero() {
+    return this.units === 0n;
+  }
+
+  isNegative() {
+    return this.units < 0n;
+  }
+
+  toString() {
+    const negative = this.units < 0n;
+    const digits = (negative ? -this.units : this.units).toString().padStart(this.scale + 1, '0');
+    const whole = digits.slice(0, digits.length - this.scale);
+    const fraction = this.scale > 0 ? `.${digits.slice(digits.length - this.scale)}` : '';
+    return `${negative ? '-' : ''}${whole}${fraction}`;
+  }
+
+  toNumber() {
+    return Number(this.toString());
+  }
+}
+
+// Where and how amounts are rounded to their currency's minor units. Rounding at a point
+// also rounds at every later point: 'component' (each BOM line), 'rule' (each rule output,
+// base cost element, charge, transfer price, FX difference and duty) or 'reporting' (result
+// figures only).
+// The default point is 'rule'; with point null amounts are never rounded.
+class RoundingPolicy {
+  constructor(options = {}) {
+    this.mode = options.mode || 'half-even';
+    this.point = options.point === undefined ? 'rule' : options.point;
+    this.minorUnits = { ...MINOR_UNITS, ...(options.minorUnits || {}) };
+    if (!ROUNDING_MODES.includes(this.mode)) {
+      throw new Error(`Unknown rounding mode: ${this.mode}`);
+    }
+    if (this.point && !ROUNDING_POINTS.includes(this.point)) {
+      throw new Error(`Unknown rounding point: ${this.point}`);
+    }
+  }
+
+  getMinorUnits(currency) {
+    return this.minorUnits[currency] ?? 2;
+  }
+
+  appliesAt(point) {
+    return this.point !== null && ROUNDING_POINTS.indexOf(this.point) <= ROUNDING_POINTS.indexOf(point);
+  }
+
+  round(amount, currency) {
+    return Money.of(amount).round(this.getMinorUnits(currency), this.mode).toNumber();
+  }
+
+  // Amount as Money, rounded when the policy rounds at `point`
+  applyMoney(amount, currency, point) {
+    const money = Money.of(amount);
+    return this.appliesAt(point) ? money.round(this.getMinorUnits(currency), this.mode) : money;
+  }
+
+  apply(amount, currency, point) {
+    return this.applyMoney(amount, currency, point).toNumber();
+  }
+
+  // Rounds amounts that make up `total` so they still add up to the rounded total: what
+  // rounding each amount leaves over is moved a minor unit at a time onto the nonzero amounts
+  // with the largest remainder (the largest-remainder method)
+  roundToTotal(amounts, total, currency) {
+    const scale = this.getMinorUnits(currency);
+    const rounded = amounts.map(amount => Money.of(amount).round(scale, this.mode));
+    let difference = Money.of(total).round(scale, this.mode)
+      .minus(rounded.reduce((sum, amount) => sum.plus(amount), Money.zero()));
+    const unit = difference.isNegative() ? new Money(-1n, scale) : new Money(1n, scale);
+    const order = amounts
+      .map((amount, index) => ({ index, remainder: Money.of(amount).minus(rounded[index]) }))
+      .filter(({ index }) => !Money.of(amounts[index]).isZero())
+      .sort((a, b) => {
+        const gap = unit.isNegative() ? a.remainder.minus(b.remainder) : b.remainder.minus(a.remainder);
+        return gap.isZero() ? 0 : (gap.isNegative() ? -1 : 1);
+      });
+    for (let i = 0; !difference.isZero() && order.length > 0; i++) {
+      const { index } = order[i % order.length];
+      rounded[index] = rounded[index].plus(unit);
+      difference = difference.minus(unit);
+    }
+    return rounded.map(amount => amount.toNumber());
+  }
+}
+
+// ============================================================================
+// PERIOD CALENDAR
+// ============================================================================
+
+// Period labels:
+//   calendar  'YYYY' (year), 'YYYY-Qn' (quarter), 'YYYY-MM' (month)
+//   fiscal    'FYyyyy' (year), 'FYyyyy-Qn' (quarter), 'FYyyyy-Pnn' (period)
+// Fiscal years are named by the calendar year they end in. The fiscal calendar is
+// month-based ({ startMonth: 4 }) or week-based ({ weekPattern: [4, 4, 5],
+// firstDay: '2024-03-31', longYears: ['FY2030'] }), where a long year adds a week to P12.
+// Every period maps to a range of days, so data kept at one granularity can be
+// aggregated or spread to another.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS_PER_YEAR = { year: 1, quarter: 4, month: 12 };
+
+class PeriodCalendar {
+  constructor(fiscalCalendar = {}) {
+    this.startMonth = fiscalCalendar.startMonth || 1;
+    this.weekPattern = fiscalCalendar.weekPattern || null;
+    this.longYears = new Set(fiscalCalendar.longYears || []);
+    if (this.weekPattern) {
+      if (!fiscalCalendar.firstDay) {
+        throw new Error('Week-based fiscal calendar requires firstDay');
+      }
+      this.firstDay = this.toDay(fiscalCalendar.firstDay);
+      // First fiscal year is named by the year its last day falls in
+      this.firstYear = new Date((this.firstDay + 363) * DAY_MS).getUTCFullYear();
+    }
+  }
+
+  toDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+  }
+
+  monthToDay(absoluteMonth) {
+    return Date.UTC(Math.floor(absoluteMonth / 12), absoluteMonth % 12, 1) / DAY_MS;
+  }
+
+  isValid(period) {
+    try {
+      this.parse(period);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // { fiscal, granularity, year, index, start, end } with days as [start, end)
+  parse(period) {
+    let match = /^(\d{4})(?:-(Q[1-4]|\d{2}))?$/.exec(period);
+    if (match) {
+      const year = Number(match[1]);
+      const part = match[2];
+      const granularity = !part ? 'year' : part.startsWith('Q') ? 'quarter' : 'month';
+      const index = !part ? 1 : part.startsWith('Q') ? Number(part.slice(1)) : Number(part);
+      if (index < 1 || index > 12) throw new Error(`Invalid period: ${period}`);
+      const monthsPer = 12 / PERIODS_PER_YEAR[granularity];
+      const startMonth = year * 12 + (index - 1) * monthsPer;
+      return {
+        fiscal: false, granularity, year, index,
+        start: this.monthToDay(startMonth),
+        end: this.monthToDay(startMonth + monthsPer)
+      };
+    }
+
+    match = /^FY(\d{4})(?:-(Q[1-4]|P\d{2}))?$/.exec(period);
+    if (match) {
+      const year = Number(match[1]);
+      const part = match[2];
+      const granularity = !part ? 'year' : part.startsWith('Q') ? 'quarter' : 'month';
+      const index = part ? Number(part.slice(1)) : 1;
+      if (index < 1 || index > 12) throw new Error(`Invalid period: ${period}`);
+      return { fiscal: true, granularity, year, index, ...this.getFiscalRange(year, granularity, index) };
+    }
+
+    throw new Error(`Invalid period: ${period}`);
+  }
+
+  getFiscalRange(year, granularity, index) {
+    const perPeriod = 12 / PERIODS_PER_YEAR[granularity];
+    const first = (index - 1) * perPeriod;
+
+    if (!this.weekPattern) {
+      const yearStart = year * 12 + (this.startMonth - 1) - (this.startMonth > 1 ? 12 : 0);
+      return {
+        start: this.monthToDay(yearStart + first),
+        end: this.monthToDay(yearStart + first + perPeriod)
+      };
+    }
+
+    // Weeks per fiscal period (P01..P12), the pattern repeating each quarter
+    const weeks = Array.from({ length: 12 }, (_, i) => this.weekPattern[i % this.weekPattern.length]);
+    if (this.longYears.has(`FY${year}`)) weeks[11]++;
+    const yearStart = this.getFiscalYearStart(year);
+    const weeksBefore = weeks.slice(0, first).reduce((a, b) => a + b, 0);
+    const weeksIn = weeks.slice(first, first + perPeriod).reduce((a, b) => a + b, 0);
+    return { start: yearStart + weeksBefore * 7, end: yearStart + (weeksBefore + weeksIn) * 7 };
+  }
+
+  getFiscalYearStart(year) {
+    const yearLength = (y) => (this.longYears.has(`FY${y}`) ? 53 : 52) * 7;
+    let start = this.firstDay;
+    for (let y = this.firstYear; y < year; y++) start += yearLength(y);
+    for (let y = this.firstYear - 1; y >= year; y--) start -= yearLength(y);
+    return start;
+  }
+
+  format(fiscal, granularity, year, index) {
+    const prefix = fiscal ? 'FY' : '';
+    if (granularity === 'year') return `${prefix}${year}`;
+    if (granularity === 'quarter') return `${prefix}${year}-Q${index}`;
+    return fiscal ? `FY${year}-P${String(index).padStart(2, '0')}` : `${year}-${String(index).padStart(2, '0')}`;
+  }
+
+  getGranularity(period) {
+    return this.parse(period).granularity;
+  }
+
+  // Sequence number within the period's granularity (quarters: year * 4 + quarter)
+  periodToNumber(period) {
+    const { granularity, year, index } = this.parse(period);
+    return year * PERIODS_PER_YEAR[granularity] + index;
+  }
+
+  shift(period, offset) {
+    const { fiscal, granularity } = this.parse(period);
+    const perYear = PERIODS_PER_YEAR[granularity];
+    const n = this.periodToNumber(period) + offset - 1;
+    return this.format(fiscal, granularity, Math.floor(n / perYear), (n % perYear) + 1);
+  }
+
+  // Periods from `from` to `to` inclusive, in chronological order
+  getPeriodRange(from, to) {
+    const a = this.parse(from);
+    const b = this.parse(to);
+    if (a.fiscal !== b.fiscal || a.granularity !== b.granularity) {
+      throw new Error(`Invalid period range: ${from} and ${to} have different granularities`);
+    }
+    const count = this.periodToNumber(to) - this.periodToNumber(from);
+    if (count < 0) {
+      throw new Error(`Invalid period range: ${from} is after ${to}`);
+    }
+    return Array.from({ length: count + 1 }, (_, i) => this.shift(from, i));
+  }
+
+  getPriorPeriods(period, count) {
+    return Array.from({ length: count }, (_, i) => this.shift(period, -(i + 1)));
+  }
+
+  getNextPeriods(period, count) {
+    return Array.from({ length: count }, (_, i) => this.shift(period, i + 1));
+  }
+
+  getLength(period) {
+    const { start, end } = this.parse(period);
+    return end - start;
+  }
+
+  getMidpoint(period) {
+    const { start, end } = this.parse(period);
+    return (start + end) / 2;
+  }
+
+  // Whether the period closes a fiscal year, calendar labels included (2025-Q1 under an April start)
+  isYearEnd(period) {
+    const { year, end } = this.parse(period);
+    return [year, year + 1].some(fiscalYear => this.getFiscalRange(fiscalYear, 'year', 1).end === end);
+  }
+
+  // Data periods overlapping `period`. sourceShare is the part of the source period that
+  // falls inside `period` (for spreading amounts); targetShare the part of `period` the
+  // source covers (for averaging rates and prices).
+  getOverlaps(labels, period) {
+    const target = this.parse(period);
+    const overlaps = [];
+    for (const label of labels) {
+      if (!this.isValid(label)) continue;
+      const source = this.parse(label);
+      const days = Math.min(source.end, target.end) - Math.max(source.start, target.start);
+      if (days > 0) {
+        overlaps.push({
+          period: label,
+          days,
+          sourceShare: days / (source.end - source.start),
+          targetShare: days / (target.end - target.start),
+          end: source.end
+        });
+      }
+    }
+    return overlaps;
+  }
+
+  // Amounts (volumes, pools) summed over the overlapping part of each data period
+  aggregateAmount(valuesByPeriod, period) {
+    if (valuesByPeriod[period] !== undefined) return valuesByPeriod[period];
+    const overlaps = this.getOverlaps(Object.keys(valuesByPeriod), period);
+    if (overlaps.length === 0) return undefined;
+    return overlaps.reduce((sum, o) => sum + valuesByPeriod[o.period] * o.sourceShare, 0);
+  }
+
+  // Rates and prices averaged over the part of the period the data covers
+  aggregateRate(valuesByPeriod, period) {
+    if (valuesByPeriod[period] !== undefined) return valuesByPeriod[period];
+    const overlaps = this.getOverlaps(Object.keys(valuesByPeriod), period);
+    if (overlaps.length === 0) return undefined;
+    const covered = overlaps.reduce((sum, o) => sum + o.days, 0);
+    return overlaps.reduce((sum, o) => sum + valuesByPeriod[o.period] * o.days / covered, 0);
+  }
+}
+
 // ============================================================================
 // CURRENCY CONVERTER
 // ============================================================================
 
+// Rates are quoted as "FROM/TO" pairs per period. A pair's value is either a single rate
+// (the period average) or { average, closing, spot, forward }. Pairs can be read in either
+// direction and chained through any common currency.
+const RATE_TYPES = ['average', 'closing', 'spot', 'forward'];
+
 class CurrencyConverter {
-  constructor(exchangeRates) {
+  constructor(exchangeRates, options = {}) {
     this.rates = exchangeRates;
+    this.calendar = options.calendar || new PeriodCalendar();
+    // How to handle a period without rates: 'nearest', 'interpolate' or 'fail'
+    this.missingPeriod = options.missingPeriod || 'nearest';
+  }
+
+  // Rates quoted for the period, or derived from the periods it overlaps: average, spot
+  // and forward rates are averaged, the closing rate is the last overlapping period's
+  getPeriodRates(period) {
+    if (this.rates[period]) return this.rates[period];
+    if (!this.calendar.isValid(period)) return null;
+
+    const overlaps = this.calendar.getOverlaps(Object.keys(this.rates), period);
+    if (overlaps.length === 0) return null;
+
+    const pairs = new Set(overlaps.flatMap(o => Object.keys(this.rates[o.period])));
+    const derived = {};
+    for (const pair of pairs) {
+      const quotes = overlaps.filter(o => this.rates[o.period][pair] !== undefined);
+      const quote = {};
+      for (const rateType of RATE_TYPES) {
+        const values = quotes
+          .map(o => ({ ...o, rate: this.getQuotedValue(this.rates[o.period][pair], rateType) }))
+          .filter(o => o.rate !== undefined);
+        if (values.length === 0) continue;
+        if (rateType === 'closing') {
+          quote.closing = values.sort((a, b) => b.end - a.end)[0].rate;
+        } else {
+          const covered = values.reduce((sum, o) => sum + o.days, 0);
+          quote[rateType] = values.reduce((sum, o) => sum + o.rate * o.days / covered, 0);
+        }
+      }
+      derived[pair] = quote;
+    }
+    return derived;
+  }
+
+  getQuotedValue(quote, rateType) {
+    return typeof quote === 'number' ? (rateType === 'average' ? quote : undefined) : quote[rateType];
   }
 
-  convert(amount, fromCurrency, toCurrency, period) {
+  convert(amount, fromCurrency, toCurrency, period, rateType = 'average') {
     if (fromCurrency === toCurrency) return amount;
+    return this.convertMoney(amount, fromCurrency, toCurrency, period, rateType).toNumber();
+  }
 
-    const periodRates = this.rates[period];
-    if (!periodRates) {
-      // Try to find nearest period
-      const periods = Object.keys(this.rates).sort();
-      const nearestPeriod = periods.reduce((nearest, p) => {
-        if (!nearest) return p;
-        return Math.abs(this.periodToNumber(p) - this.periodToNumber(period)) <
-               Math.abs(this.periodToNumber(nearest) - this.periodToNumber(period))
-          ? p : nearest;
-      }, null);
+  convertMoney(amount, fromCurrency, toCurrency, period, rateType = 'average') {
+    if (fromCurrency === toCurrency) return Money.of(amount);
+    return Money.of(amount).times(this.getRate(fromCurrency, toCurrency, period, rateType).rate);
+  }
 
-      if (nearestPeriod) {
-        return this.convert(amount, fromCurrency, toCurrency, nearestPeriod);
+  // Converted amount plus the rate, rate type and source period(s) behind it
+  convertWithDetail(amount, fromCurrency, toCurrency, period, rateType = 'average') {
+    const detail = this.getRate(fromCurrency, toCurrency, period, rateType);
+    return { amount: Money.of(amount).times(detail.rate).toNumber(), ...detail };
+  }
+
+  getRate(fromCurrency, toCurrency, period, rateType = 'average') {
+    if (!RATE_TYPES.includes(rateType)) {
+      throw new Error(`Unknown rate type: ${rateType}`);
+    }
+    if (fromCurrency === toCurrency) {
+      return { from: fromCurrency, to: toCurrency, rate: 1, rateType, sourcePeriods: [period], path: [fromCurrency] };
+    }
+
+    if (this.getPeriodRates(period)) {
+      const found = this.findRate(fromCurrency, toCurrency, period, rateType);
+      if (!found) {
+        throw new Error(`Missing exchange rate: ${fromCurrency}/${toCurrency} for period ${period}`);
       }
+      return { from: fromCurrency, to: toCurrency, ...found, sourcePeriods: [period] };
+    }
+
+    if (this.missingPeriod === 'fail') {
+      throw new Error(`No exchange rate found for period ${period}`);
+    }
+
+    // Periods that can price the pair, nearest first on each side. Positions are sequence
+    // numbers when the granularities match, else period midpoints in days.
+    const candidates = Object.keys(this.rates)
+      .map(p => ({ period: p, found: this.findRate(fromCurrency, toCurrency, p, rateType) }))
+      .filter(c => c.found);
+    if (candidates.length === 0) {
       throw new Error(`No exchange rate found for period ${period}`);
     }
+    const sameGranularity = candidates.every(c => this.isComparable(c.period, period));
+    const position = (p) => sameGranularity ? this.calendar.periodToNumber(p) : this.calendar.getMidpoint(p);
+    const target = position(period);
+    const distance = (c) => Math.abs(position(c.period) - target);
+    const prior = candidates.filter(c => position(c.period) < target)
+      .sort((a, b) => distance(a) - distance(b))[0];
+    const next = candidates.filter(c => position(c.period) > target)
+      .sort((a, b) => distance(a) - distance(b))[0];
+
+    if (this.missingPeriod === 'interpolate' && prior && next) {
+      const weight = Money.of(target - position(prior.period)).dividedBy(position(next.period) - position(prior.period));
+      return {
+        from: fromCurrency,
+        to: toCurrency,
+        ...prior.found,
+        rate: Money.of(next.found.rate).minus(prior.found.rate).times(weight).plus(prior.found.rate).toNumber(),
+        sourcePeriods: [prior.period, next.period],
+        interpolated: true
+      };
+    }
+
+    // Nearest period; the earlier one wins a tie
+    const nearest = [prior, next].filter(Boolean)
+      .sort((a, b) => distance(a) - distance(b) || position(a.period) - position(b.period))[0];
+    return { from: fromCurrency, to: toCurrency, ...nearest.found, sourcePeriods: [nearest.period] };
+  }
+
+  isComparable(a, b) {
+    const pa = this.calendar.parse(a);
+    const pb = this.calendar.parse(b);
+    return pa.fiscal === pb.fiscal && pa.granularity === pb.granularity;
+  }
+
+  // Quoted rate for one pair and period in the given direction, or undefined
+  getQuote(from, to, period, rateType) {
+    const quote = this.getPeriodRates(period)?.[`${from}/${to}`];
+    if (quote === undefined) return undefined;
+    if (typeof quote === 'number') return { rate: quote, rateType: 'average' };
+    // Rate types not quoted fall back to the period average
+    if (quote[rateType] !== undefined) return { rate: quote[rateType], rateType };
+    if (quote.average !== undefined) return { rate: quote.average, rateType: 'average' };
+    return undefined;
+  }
+
+  // Shortest chain of direct or inverse quotes from one currency to another (BFS)
+  findRate(fromCurrency, toCurrency, period, rateType) {
+    const periodRates = this.getPeriodRates(period) || {};
+    const neighbours = new Map();
+    for (const pair of Object.keys(periodRates)) {
+      const [base, quote] = pair.split('/');
+      if (!neighbours.has(base)) neighbours.set(base, []);
+      if (!neighbours.has(quote)) neighbours.set(quote, []);
+      neighbours.get(base).push({ currency: quote, pair, inverse: false });
+      neighbours.get(quote).push({ currency: base, pair, inverse: true });
+    }
 
-    // Convert to USD first, then to target
-    let amountInUSD = amount;
-    if (fromCurrency !== 'USD') {
-      const rateKey = `${fromCurrency}/USD`;
-      if (!periodRates[rateKey]) {
-        throw new Error(`Missing exchange rate: ${rateKey} for period ${period}`);
+    const previous = new Map([[fromCurrency, null]]);
+    const queue = [fromCurrency];
+    while (queue.length > 0 && !previous.has(toCurrency)) {
+      const currency = queue.shift();
+      for (const edge of neighbours.get(currency) || []) {
+        if (!previous.has(edge.currency)) {
+          previous.set(edge.currency, { from: currency, ...edge });
+          queue.push(edge.currency);
+        }
       }
-      amountInUSD = amount * periodRates[rateKey];
     }
+    if (!previous.has(toCurrency)) return null;
 
-    if (toCurrency === 'USD') return amountInUSD;
+    const legs = [];
+    for (let step = previous.get(toCurrency); step; step = previous.get(step.from)) {
+      legs.unshift(step);
+    }
 
-    const targetRateKey = `${toCurrency}/USD`;
-    if (!periodRates[targetRateKey]) {
-      throw new Error(`Missing exchange rate: ${targetRateKey} for period ${period}`);
+    let rate = Money.of(1);
+    const rateTypes = new Set();
+    const quotedLegs = [];
+    for (const leg of legs) {
+      const [base, quote] = leg.pair.split('/');
+      const quoted = this.getQuote(base, quote, period, rateType);
+      if (!quoted) return null;
+      rate = leg.inverse ? rate.dividedBy(quoted.rate) : rate.times(quoted.rate);
+      rateTypes.add(quoted.rateType);
+      quotedLegs.push({ pair: leg.pair, rate: quoted.rate, rateType: quoted.rateType, inverse: leg.inverse });
     }
-    return amountInUSD / periodRates[targetRateKey];
+
+    return {
+      rate: rate.toNumber(),
+      rateType: rateTypes.size === 1 ? [...rateTypes][0] : 'mixed',
+      requestedRateType: rateType,
+      path: [fromCurrency, ...legs.map(leg => leg.currency)],
+      legs: quotedLegs
+    };
   }
 
+  // Period arithmetic lives in the calendar
   periodToNumber(period) {
-    const [year, quarter] = period.split('-Q');
-    return parseInt(year) * 4 + parseInt(quarter);
+    return this.calendar.periodToNumber(period);
   }
 
-  getPriorPeriods(period, count) {
-    const periods = [];
-    let [year, quarter] = period.split('-Q').map(Number);
+  getPeriodRange(from, to) {
+    return this.calendar.getPeriodRange(from, to);
+  }
 
-    for (let i = 0; i < count; i++) {
-      quarter--;
-      if (quarter < 1) {
-        quarter = 4;
-        year--;
-      }
-      periods.push(`${year}-Q${quarter}`);
-    }
+  getNextPeriods(period, count) {
+    return this.calendar.getNextPeriods(period, count);
+  }
 
-    return periods;
+  getPriorPeriods(period, count) {
+    return this.calendar.getPriorPeriods(period, count);
   }
 }
 
@@ -484,8 +1144,10 @@ class EntityManager {
     return this.getAllEntities().filter(e => e.type === 'distribution');
   }
 
-  findTransferPaths(fromEntity, toEntity) {
-    return this.transferGraph.findAllPaths(fromEntity, toEntity);
+  // With an itemType, only routes that carry that item classification are traversed
+  findTransferPaths(fromEntity, toEntity, itemType = null) {
+    const edgeFilter = itemType ? (edge => (edge.itemTypes || []).includes(itemType)) : null;
+    return this.transferGraph.findAllPaths(fromEntity, toEntity, 10, edgeFilter);
   }
 
   getTransferRoute(fromEntity, toEntity) {
@@ -493,84 +1155,2455 @@ class EntityManager {
     return neighbors.find(n => n.node === toEntity);
   }
 
+  // Statutory income tax rate; entities without one are untaxed
+  getTaxRate(entityId) {
+    return this.getEntity(entityId)?.taxRate ?? 0;
+  }
+
   isCrossBorder(fromEntityId, toEntityId) {
     const from = this.getEntity(fromEntityId);
     const to = this.getEntity(toEntityId);
     return from && to && from.country !== to.country;
   }
+
+  // Parent chain from the entity itself up to its top-level parent
+  getAncestry(entityId) {
+    const chain = [];
+    let current = this.getEntity(entityId);
+    while (current && !chain.includes(current.id)) {
+      chain.push(current.id);
+      current = current.parent ? this.getEntity(current.parent) : null;
+    }
+    return chain;
+  }
+
+  // Lowest entity in the hierarchy that contains both entities, or null if unrelated
+  findCommonParent(entityA, entityB) {
+    const ancestryB = new Set(this.getAncestry(entityB));
+    return this.getAncestry(entityA).find(id => ancestryB.has(id)) || null;
+  }
 }
 
 // ============================================================================
-// RULE ENGINE
+// CONSOLIDATION ENGINE
 // ============================================================================
 
-class RuleEngine {
-  constructor(allocationRules, auditTrail) {
-    this.rules = new Map();
-    this.ruleGraph = new Graph();
-    this.auditTrail = auditTrail;
+// Rolls entity-level (statutory) costs up the parent hierarchy and eliminates
+// intercompany profit: royalties, management fees and transfer markups between
+// entities of the same group. Third-party costs such as customs duties stay.
+class ConsolidationEngine {
+  constructor(entityManager) {
+    this.entityManager = entityManager;
+  }
 
-    // Index rules and build dependency graph
-    for (const rule of allocationRules) {
-      this.rules.set(rule.id, rule);
-      this.ruleGraph.addNode(rule.id);
-    }
+  consolidate(costState, productIds, period) {
+    const eliminationCache = new Map();
+    const costs = {};
+    const eliminations = [];
 
-    for (const rule of allocationRules) {
-      for (const depId of (rule.dependencies || [])) {
-        this.ruleGraph.addEdge(depId, rule.id);
+    for (const productId of productIds) {
+      for (const entity of this.entityManager.getAllEntities()) {
+        const cost = costState.getCost(productId, entity.id, period);
+        if (!cost) continue;
+
+        const items = cost.supplyMix
+          ? this.getBlendedEliminations(costState, productId, cost.supplyMix, period, eliminationCache)
+          : cost.transferPath
+            ? this.getTransferEliminations(costState, productId, cost, period, eliminationCache)
+            : this.getEntityEliminations(costState, productId, entity.id, period, eliminationCache);
+
+        const eliminated = items.reduce((sum, item) => sum.plus(item.amount), Money.zero());
+        if (!costs[productId]) costs[productId] = {};
+        costs[productId][entity.id] = {
+          statutoryCost: cost.totalCost,
+          groupCost: Money.of(cost.totalCost).minus(eliminated).toNumber(),
+          eliminated: eliminated.toNumber()
+        };
+
+        for (const item of items) {
+          eliminations.push({ productId, entityId: entity.id, period, ...item });
+        }
       }
     }
 
-    // Validate no cycles
-    const cycles = this.ruleGraph.detectCycles();
-    if (cycles.length > 0) {
-      throw new Error(`Rule dependencies contain cycles: ${cycles.map(c => c.join(' -> ')).join('; ')}`);
+    const byConsolidationEntity = {};
+    for (const item of eliminations) {
+      byConsolidationEntity[item.consolidatedAt] = Money.of(byConsolidationEntity[item.consolidatedAt] || 0)
+        .plus(item.amount).toNumber();
     }
 
-    this.executionOrder = this.ruleGraph.topologicalSort();
-    this.auditTrail.log('RULES_VALIDATED', {
-      ruleCount: allocationRules.length,
-      executionOrder: this.executionOrder
-    });
+    return {
+      period,
+      groupEntities: this.entityManager.getAllEntities().filter(e => !e.parent).map(e => e.id),
+      costs,
+      eliminations,
+      byConsolidationEntity
+    };
   }
 
-  getExecutionOrder() {
-    return this.executionOrder;
+  // Intercompany charges booked at a producing entity, per unit of product. Components
+  // roll into assemblies at base cost, so charges are only ever booked on the product itself.
+  getEntityEliminations(costState, productId, entityId, period, cache) {
+    const cacheKey = `${productId}:${entityId}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    const cost = costState.getCost(productId, entityId, period);
+    const items = (cost?.intercompanyCharges || [])
+      .filter(charge => charge.amount)
+      .map(charge => ({
+        type: charge.transferType === 'mgmt-fee' ? 'management-fee' : charge.transferType,
+        fromEntity: charge.fromEntity,
+        toEntity: entityId,
+        amount: charge.amount,
+        consolidatedAt: this.entityManager.findCommonParent(charge.fromEntity, entityId)
+      }))
+      .filter(item => item.consolidatedAt);
+
+    cache.set(cacheKey, items);
+    return items;
   }
 
-  getRule(ruleId) {
-    return this.rules.get(ruleId);
+  // Source entity eliminations plus the markup earned on each hop of the transfer path
+  getTransferEliminations(costState, productId, cost, period, cache) {
+    const items = [...this.getEntityEliminations(costState, productId, cost.sourceEntity, period, cache)];
+
+    for (let i = 1; i < cost.transferPath.length; i++) {
+      const prev = cost.transferPath[i - 1];
+      const hop = cost.transferPath[i];
+      // Duties are paid to third parties and FX differences are not intercompany profit
+      const markup = Money.of(hop.cost).minus(hop.duty || 0).minus(hop.fxDifference || 0).minus(prev.cost).toNumber();
+      const consolidatedAt = this.entityManager.findCommonParent(prev.entity, hop.entity);
+      if (markup !== 0 && consolidatedAt) {
+        items.push({ type: 'markup', fromEntity: prev.entity, toEntity: hop.entity, amount: markup, consolidatedAt });
+      }
+    }
+
+    return this.merge(items);
   }
 
-  // Get rules that can execute in parallel (no interdependencies)
-  getParallelGroups() {
-    const groups = [];
-    const executed = new Set();
+  // A destination supplied over several paths eliminates each path's profit at its share of supply
+  getBlendedEliminations(costState, productId, supplyMix, period, cache) {
+    return this.merge(supplyMix.flatMap(line =>
+      this.getTransferEliminations(costState, productId, line, period, cache)
+        .map(item => ({ ...item, amount: Money.of(item.amount).times(line.share).toNumber() }))));
+  }
 
-    while (executed.size < this.rules.size) {
-      const group = [];
+  merge(items) {
+    const merged = new Map();
+    for (const item of items) {
+      const key = `${item.type}:${item.fromEntity}:${item.toEntity}`;
+      if (merged.has(key)) {
+        merged.get(key).amount = Money.of(merged.get(key).amount).plus(item.amount).toNumber();
+      } else {
+        merged.set(key, { ...item });
+      }
+    }
+    return Array.from(merged.values());
+  }
+}
+
+// ============================================================================
+// CHARGE SOLVER
+// ============================================================================
+
+// Solves intercompany charges whose bases include other charges. A charge line is
+//   { id, rate, fixed, dependsOn: [lineId] }  with  amount = rate * (fixed + sum of dependsOn amounts)
+// Lines are grouped into strongly connected components of the dependency graph and solved
+// in dependency order; a component with more than one line (or a line depending on itself)
+// is a charge cycle, solved by Gauss-Seidel iteration or directly as a linear system.
+// Lines outside cycles are evaluated exactly with Money. A cycle's solution is a numerical
+// approximation to `tolerance` (Gaussian elimination runs in floating point), the one phase
+// exempt from exact decimal arithmetic; the engine books each charge through the rounding policy.
+const CHARGE_SOLVER_METHODS = ['iterative', 'linear'];
+
+// Route item types that are services charged between entities rather than goods shipped
+const SERVICE_ITEM_TYPES = ['royalty', 'mgmt-fee', 'r&d-service'];
+
+class ChargeSolver {
+  constructor(options = {}) {
+    this.method = options.method || 'iterative';
+    if (!CHARGE_SOLVER_METHODS.includes(this.method)) {
+      throw new Error(`Unknown charge solver method "${this.method}"; expected one of ${CHARGE_SOLVER_METHODS.join(', ')}`);
+    }
+    this.tolerance = options.tolerance ?? 1e-9; // relative change between iterations
+    this.maxIterations = options.maxIterations ?? 100;
+  }
+
+  // Returns { amounts: { lineId: amount }, cycles: [{ lines, method, iterations, residual, converged }] }
+  solve(lines) {
+    const byId = new Map(lines.map(line => [line.id, line]));
+    const graph = new Graph();
+    for (const line of lines) {
+      graph.addNode(line.id);
+      for (const dependency of line.dependsOn) {
+        if (!byId.has(dependency)) {
+          throw new Error(`Charge ${line.id} depends on unknown charge ${dependency}`);
+        }
+        graph.addEdge(line.id, dependency);
+      }
+    }
+
+    const amounts = {};
+    const cycles = [];
+    for (const component of graph.findStronglyConnectedComponents()) {
+      const members = component.map(id => byId.get(id));
+      if (members.length === 1 && !members[0].dependsOn.includes(members[0].id)) {
+        amounts[members[0].id] = this.evaluate(members[0], amounts);
+        continue;
+      }
+      const diagnostics = this.method === 'linear'
+        ? this.solveLinear(members, amounts)
+        : this.solveIterative(members, amounts);
+      cycles.push({ lines: component, method: this.method, ...diagnostics });
+    }
+    return { amounts, cycles };
+  }
+
+  evaluate(line, amounts) {
+    const base = line.dependsOn.reduce((sum, id) => sum.plus(amounts[id] || 0), Money.of(line.fixed));
+    return base.times(line.rate).toNumber();
+  }
+
+  residual(members, amounts) {
+    return Math.max(...members.map(line => Math.abs(amounts[line.id] - this.evaluate(line, amounts))));
+  }
+
+  solveIterative(members, amounts) {
+    for (const line of members) amounts[line.id] = 0;
+    let iterations = 0;
+    let converged = false;
+    while (!converged && iterations < this.maxIterations) {
+      iterations++;
+      converged = true;
+      for (const line of members) {
+        const next = this.evaluate(line, amounts);
+        if (!Number.isFinite(next)) return { iterations, residual: Infinity, converged: false };
+        if (Math.abs(next - amounts[line.id]) > this.tolerance * Math.max(1, Math.abs(next))) converged = false;
+        amounts[line.id] = next;
+      }
+    }
+    return { iterations, residual: this.residual(members, amounts), converged };
+  }
+
+  // (I - rate * A) x = rate * (fixed + solved dependencies), by Gaussian elimination with
+  // partial pivoting. A solution with negative charges means the cycle has no finite
+  // fixed point (its charges compound) and is reported as not converged.
+  solveLinear(members, amounts) {
+    const n = members.length;
+    const position = new Map(members.map((line, i) => [line.id, i]));
+    const matrix = members.map((line, i) => {
+      const row = new Array(n + 1).fill(0);
+      row[i] = 1;
+      row[n] = line.rate * line.fixed;
+      for (const id of line.dependsOn) {
+        if (position.has(id)) row[position.get(id)] -= line.rate;
+        else row[n] += line.rate * amounts[id];
+      }
+      return row;
+    });
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+      }
+      if (Math.abs(matrix[pivot][col]) < 1e-12) {
+        for (const line of members) amounts[line.id] = 0;
+        return { iterations: 1, residual: Infinity, converged: false };
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+      for (let row = 0; row < n; row++) {
+        if (row === col) continue;
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k <= n; k++) matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+
+    members.forEach((line, i) => { amounts[line.id] = matrix[i][n] / matrix[i][i]; });
+    const residual = this.residual(members, amounts);
+    const converged = members.every(line => amounts[line.id] >= 0) &&
+      residual <= this.tolerance * Math.max(1, ...members.map(line => Math.abs(amounts[line.id])));
+    return { iterations: 1, residual, converged };
+  }
+}
+
+// ============================================================================
+// MISSING DATA RESOLVER
+// ============================================================================
+
+// Fills gaps in period costs using the policy configured for the dataset ('material' or
+// 'labor'): fail, drop (default), carry-forward, interpolate or substitute.
+class MissingDataResolver {
+  constructor(policies, lookup, entityManager, currencyConverter) {
+    this.policies = policies || {};
+    this.lookup = lookup; // (itemId, entityId, period) -> { unit, currency }
+    this.entityManager = entityManager;
+    this.currencyConverter = currencyConverter;
+  }
+
+  getPolicy(dataset) {
+    const policy = this.policies[dataset] || 'drop';
+    return typeof policy === 'string' ? { policy } : { ...policy };
+  }
+
+  // Returns { cost, policy, ... } with cost null when the gap could not be filled
+  resolve(itemId, entityId, period, dataset) {
+    const settings = this.getPolicy(dataset);
+    const maxPeriods = settings.maxPeriods || 4;
+
+    switch (settings.policy) {
+      case 'fail':
+        throw new Error(`Missing ${dataset} cost for ${itemId} at ${entityId} in ${period}`);
+      case 'carry-forward':
+        return { policy: settings.policy, ...this.carryForward(itemId, entityId, period, maxPeriods) };
+      case 'interpolate':
+        return { policy: settings.policy, ...this.interpolate(itemId, entityId, period, maxPeriods) };
+      case 'substitute':
+        return { policy: settings.policy, ...this.substitute(itemId, entityId, period, settings) };
+      case 'drop':
+        return { policy: settings.policy, cost: null };
+      default:
+        throw new Error(`Unknown missing data policy "${settings.policy}" for ${dataset}`);
+    }
+  }
+
+  findNearest(itemId, entityId, periods) {
+    for (const period of periods) {
+      const cost = this.lookup(itemId, entityId, period);
+      if (cost) return { period, cost };
+    }
+    return null;
+  }
+
+  carryForward(itemId, entityId, period, maxPeriods) {
+    const prior = this.findNearest(itemId, entityId, this.currencyConverter.getPriorPeriods(period, maxPeriods));
+    if (!prior) return { cost: null, reason: `no cost in the prior ${maxPeriods} periods` };
+    return { cost: prior.cost, sourcePeriods: [prior.period] };
+  }
+
+  // Linear in period number between the nearest known periods either side
+  interpolate(itemId, entityId, period, maxPeriods) {
+    const prior = this.findNearest(itemId, entityId, this.currencyConverter.getPriorPeriods(period, maxPeriods));
+    const next = this.findNearest(itemId, entityId, this.currencyConverter.getNextPeriods(period, maxPeriods));
+    if (!prior || !next) {
+      return { cost: null, reason: `no cost on both sides within ${maxPeriods} periods` };
+    }
+
+    const toNumber = (p) => this.currencyConverter.periodToNumber(p);
+    const nextUnit = this.currencyConverter.convert(next.cost.unit, next.cost.currency, prior.cost.currency, period);
+    const position = (toNumber(period) - toNumber(prior.period)) / (toNumber(next.period) - toNumber(prior.period));
+    return {
+      cost: { unit: prior.cost.unit + (nextUnit - prior.cost.unit) * position, currency: prior.cost.currency },
+      sourcePeriods: [prior.period, next.period]
+    };
+  }
+
+  // Another entity's cost for the same period, converted to this entity's currency
+  substitute(itemId, entityId, period, settings) {
+    const candidates = settings.entities || (settings.entity ? [settings.entity] : []);
+    const currency = this.entityManager.getEntity(entityId)?.currency;
+
+    for (const sourceEntity of candidates) {
+      const cost = this.lookup(itemId, sourceEntity, period);
+      if (!cost) continue;
+      return {
+        cost: currency
+          ? { unit: this.currencyConverter.convert(cost.unit, cost.currency, currency, period), currency }
+          : cost,
+        sourceEntity
+      };
+    }
+    return { cost: null, reason: `no cost at ${candidates.join(', ') || 'any substitute entity'}` };
+  }
+}
+
+// ============================================================================
+// INVENTORY COSTING ENGINE
+// ============================================================================
+
+// Values inventory per product/entity with the selected costing method. The method
+// comes from a per product/entity override in `costingMethods`, else the item master.
+class InventoryCostingEngine {
+  constructor(config, weightedAverageRules, itemMaster, currencyConverter, volumeLookup) {
+    this.overrides = config.costingMethods || {};
+    this.standardCosts = config.standardCosts || {};
+    this.volumeLookup = volumeLookup; // (productId, entityId, period) -> units produced
+    this.weightedAverageRules = weightedAverageRules;
+    this.itemMaster = itemMaster;
+    this.currencyConverter = currencyConverter;
+  }
+
+  // Resolved method settings: { method, periods, onHand }
+  getMethod(productId, entityId) {
+    const override = this.overrides[productId]?.[entityId];
+    const settings = typeof override === 'string' ? { method: override } : { ...override };
+    if (!settings.method) {
+      settings.method = this.itemMaster.getItem(productId)?.costingMethod || 'weighted-average';
+    }
+    return settings;
+  }
+
+  // Prior periods the method reads, whether or not they have been calculated
+  getLookbackPeriods(productId, entityId, period) {
+    const settings = this.getMethod(productId, entityId);
+    let count = 0;
+    if (settings.method === 'weighted-average') {
+      const weights = this.weightedAverageRules[0]?.weights || {};
+      count = Object.keys(weights).filter(k => k.startsWith('prior-')).length;
+    } else if (['moving-average', 'fifo', 'lifo'].includes(settings.method)) {
+      count = (settings.periods || 4) - 1;
+    }
+    return this.currencyConverter.getPriorPeriods(period, count);
+  }
+
+  valueInventory(costState, productId, entityId, period, targetCurrency) {
+    const current = costState.getCost(productId, entityId, period);
+    if (!current) return null;
+
+    const settings = this.getMethod(productId, entityId);
+    let valuation;
+    switch (settings.method) {
+      case 'weighted-average':
+        valuation = this.weightedAverage(costState, productId, entityId, period, targetCurrency, current);
+        break;
+      case 'moving-average':
+        valuation = this.movingAverage(costState, productId, entityId, period, targetCurrency, current, settings);
+        break;
+      case 'fifo':
+      case 'lifo':
+        valuation = this.layered(costState, productId, entityId, period, targetCurrency, current, settings);
+        break;
+      case 'standard':
+        valuation = this.standard(productId, entityId, period, targetCurrency);
+        break;
+      default:
+        valuation = { fallback: `unknown costing method "${settings.method}"` };
+    }
+
+    // Methods without the data they need value inventory at current cost
+    if (valuation.fallback) {
+      valuation.unitCost = current.totalCost;
+    }
+    return { method: settings.method, ...valuation };
+  }
+
+  // Current and prior period costs with the volume behind each, newest first
+  getHistory(costState, productId, entityId, period, targetCurrency, current, periodCount) {
+    const volumeEntity = current.sourceEntity || entityId;
+    const periods = [period, ...this.currencyConverter.getPriorPeriods(period, periodCount - 1)];
+    return periods
+      .map((p, i) => ({
+        period: p,
+        cost: i === 0 ? current : costState.getFinalizedCost(productId, entityId, p, targetCurrency)
+      }))
+      .filter(point => point.cost && !point.cost.baseOnly)
+      .map(point => ({
+        period: point.period,
+        unitCost: point.cost.totalCost,
+        volume: this.volumeLookup(productId, volumeEntity, point.period)
+      }));
+  }
+
+  // Fixed period weights from the weighted-average rule, normalized over available periods
+  weightedAverage(costState, productId, entityId, period, targetCurrency, current) {
+    const rule = this.weightedAverageRules[0];
+    const weights = rule?.weights || { current: 1 };
+    const priorCount = Object.keys(weights).filter(k => k.startsWith('prior-')).length;
+    const history = this.getHistory(costState, productId, entityId, period, targetCurrency, current, priorCount + 1);
+
+    let weightedCost = Money.zero();
+    let totalWeight = Money.zero();
+    const applied = {};
+    for (const point of history) {
+      const offset = this.currencyConverter.getPriorPeriods(period, priorCount).indexOf(point.period);
+      const weightKey = offset === -1 ? 'current' : `prior-${offset + 1}`;
+      if (weights[weightKey]) {
+        weightedCost = weightedCost.plus(Money.of(point.unitCost).times(weights[weightKey]));
+        totalWeight = totalWeight.plus(weights[weightKey]);
+        applied[point.period] = weights[weightKey];
+      }
+    }
+    if (totalWeight.isZero()) {
+      return { fallback: 'no weighted period has a cost' };
+    }
+
+    return { unitCost: weightedCost.dividedBy(totalWeight).toNumber(), ruleId: rule?.id, weights: applied };
+  }
+
+  // Average over a rolling window weighted by production volume; equal weights when
+  // nothing was produced (e.g. purchased items)
+  movingAverage(costState, productId, entityId, period, targetCurrency, current, settings) {
+    const history = this.getHistory(costState, productId, entityId, period, targetCurrency, current,
+      settings.periods || 4);
+    const totalVolume = history.reduce((sum, point) => sum + point.volume, 0);
+    // Weighted sum over the total weight: the volumes, or one per period
+    const weightOf = (point) => totalVolume > 0 ? point.volume : 1;
+    const totalWeight = totalVolume > 0 ? totalVolume : history.length;
+
+    return {
+      unitCost: history.reduce((sum, point) => sum.plus(Money.of(point.unitCost).times(weightOf(point))), Money.zero())
+        .dividedBy(totalWeight).toNumber(),
+      basis: totalVolume > 0 ? 'volume-weighted' : 'equal-weighted',
+      periods: history.map(point => point.period)
+    };
+  }
+
+  // Layers are each period's production at that period's cost. Inventory on hand (default:
+  // one period of production) is the newest layers under FIFO and the oldest under LIFO.
+  layered(costState, productId, entityId, period, targetCurrency, current, settings) {
+    const layers = this.getHistory(costState, productId, entityId, period, targetCurrency, current,
+      settings.periods || 4)
+      .filter(point => point.volume > 0)
+      .reverse()
+      .map(point => ({ period: point.period, quantity: point.volume, unitCost: point.unitCost }));
+    if (layers.length === 0) {
+      return { fallback: 'no production layers' };
+    }
+
+    const onHand = settings.onHand ?? layers[layers.length - 1].quantity;
+    const ordered = settings.method === 'fifo' ? [...layers].reverse() : layers;
+    const remaining = [];
+    let needed = onHand;
+    for (const layer of ordered) {
+      if (needed <= 0) break;
+      const quantity = Math.min(layer.quantity, needed);
+      remaining.push({ ...layer, quantity });
+      needed -= quantity;
+    }
+
+    const quantity = remaining.reduce((sum, layer) => sum + layer.quantity, 0);
+    if (quantity === 0) {
+      return { fallback: `no inventory on hand (onHand ${onHand})` };
+    }
+    return {
+      unitCost: remaining.reduce((sum, layer) => sum.plus(Money.of(layer.unitCost).times(layer.quantity)), Money.zero())
+        .dividedBy(quantity).toNumber(),
+      onHand,
+      shortfall: Math.max(needed, 0),
+      layers: remaining
+    };
+  }
+
+  standard(productId, entityId, period, targetCurrency) {
+    const standards = this.standardCosts[productId];
+    if (!standards || standards[entityId] === undefined) {
+      return { fallback: 'no standard cost' };
+    }
+    return {
+      unitCost: this.currencyConverter.convert(standards[entityId], standards.currency || 'USD', targetCurrency, period)
+    };
+  }
+}
+
+// ============================================================================
+// CONDITION EVALUATOR
+// ============================================================================
+
+// Parses and evaluates the small boolean expressions used in rule conditions,
+// e.g. "crossBorder && destCountry == 'US'". Supports identifiers, string,
+// number and boolean literals, comparisons, !, &&, || and parentheses.
+class ConditionEvaluator {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_][\w.]*)|(==|!=|<=|>=|&&|\|\||[<>!()]))/y;
+    let index = 0;
+
+    while (index < expression.length) {
+      if (/^\s*$/.test(expression.slice(index))) break;
+      pattern.lastIndex = index;
+      const match = pattern.exec(expression);
+      if (!match) {
+        throw new Error(`Unexpected character at position ${index} in condition "${expression}"`);
+      }
+      if (match[1] !== undefined) tokens.push({ type: 'literal', value: Number(match[1]) });
+      else if (match[2] !== undefined) tokens.push({ type: 'literal', value: match[2] });
+      else if (match[3] !== undefined) tokens.push({ type: 'literal', value: match[3] });
+      else if (match[4] === 'true' || match[4] === 'false') tokens.push({ type: 'literal', value: match[4] === 'true' });
+      else if (match[4] === 'null') tokens.push({ type: 'literal', value: null });
+      else if (match[4] !== undefined) tokens.push({ type: 'identifier', name: match[4] });
+      else tokens.push({ type: 'operator', value: match[5] });
+      index = pattern.lastIndex;
+    }
+
+    return tokens;
+  }
+
+  // Recursive descent: or -> and -> not -> comparison -> primary
+  compile(expression) {
+    if (this.cache.has(expression)) {
+      return this.cache.get(expression);
+    }
+
+    const tokens = this.tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const accept = (value) => {
+      const token = peek();
+      if (token && token.type === 'operator' && token.value === value) {
+        position++;
+        return true;
+      }
+      return false;
+    };
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (accept('||')) node = { op: '||', left: node, right: parseAnd() };
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseNot();
+      while (accept('&&')) node = { op: '&&', left: node, right: parseNot() };
+      return node;
+    };
+
+    const parseNot = () => {
+      if (accept('!')) return { op: '!', operand: parseNot() };
+      return parseComparison();
+    };
+
+    const parseComparison = () => {
+      const left = parsePrimary();
+      for (const op of ['==', '!=', '<=', '>=', '<', '>']) {
+        if (accept(op)) return { op, left, right: parsePrimary() };
+      }
+      return left;
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) {
+        throw new Error(`Unexpected end of condition "${expression}"`);
+      }
+      if (accept('(')) {
+        const node = parseOr();
+        if (!accept(')')) {
+          throw new Error(`Missing closing parenthesis in condition "${expression}"`);
+        }
+        return node;
+      }
+      if (token.type === 'literal' || token.type === 'identifier') {
+        position++;
+        return token;
+      }
+      throw new Error(`Unexpected token "${token.value}" in condition "${expression}"`);
+    };
+
+    const ast = parseOr();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected token "${peek().value ?? peek().name}" in condition "${expression}"`);
+    }
+
+    this.cache.set(expression, ast);
+    return ast;
+  }
+
+  evaluate(expression, context) {
+    const ast = typeof expression === 'string' ? this.compile(expression) : expression;
+
+    const visit = (node) => {
+      if (node.type === 'literal') return node.value;
+      if (node.type === 'identifier') {
+        if (!(node.name in context)) {
+          throw new Error(`Unknown identifier "${node.name}" in condition`);
+        }
+        return context[node.name];
+      }
+
+      switch (node.op) {
+        case '!': return !visit(node.operand);
+        case '&&': return Boolean(visit(node.left)) && Boolean(visit(node.right));
+        case '||': return Boolean(visit(node.left)) || Boolean(visit(node.right));
+        case '==': return visit(node.left) === visit(node.right);
+        case '!=': return visit(node.left) !== visit(node.right);
+        case '<': return visit(node.left) < visit(node.right);
+        case '<=': return visit(node.left) <= visit(node.right);
+        case '>': return visit(node.left) > visit(node.right);
+        case '>=': return visit(node.left) >= visit(node.right);
+      }
+      throw new Error(`Unsupported operator ${node.op}`);
+    };
+
+    return Boolean(visit(ast));
+  }
+}
+
+// ============================================================================
+// CUSTOMS & DUTY ENGINE
+// ============================================================================
+
+class DutyEngine {
+  constructor(config, dutyRules, currencyConverter) {
+    this.hsCodes = config.hsCodes || {};
+    this.tariffSchedules = config.tariffSchedules || {};
+    this.tradeAgreements = config.tradeAgreements || [];
+    this.currencyConverter = currencyConverter;
+    this.evaluator = new ConditionEvaluator();
+    this.ruleId = dutyRules.length > 0 ? dutyRules[0].id : 'DUTY';
+
+    // Conditions from the customs rules act as the fallback when no tariff line matches,
+    // evaluated in rule order with the first match winning
+    this.conditions = [];
+    for (const rule of dutyRules) {
+      for (const condition of rule.conditions || []) {
+        let ast;
+        try {
+          ast = this.evaluator.compile(condition.if);
+        } catch (error) {
+          throw new Error(`Invalid duty condition in ${rule.id}: ${error.message}`);
+        }
+        this.conditions.push({ ruleId: rule.id, expression: condition.if, ast, rate: condition.rate });
+      }
+    }
+  }
+
+  getHsCode(productId) {
+    return this.hsCodes[productId] || null;
+  }
+
+  findTradeAgreement(originCountry, destCountry) {
+    return this.tradeAgreements.find(agreement =>
+      agreement.countries.includes(originCountry) && agreement.countries.includes(destCountry)
+    ) || null;
+  }
+
+  // Most specific tariff line wins ("8471.30" over "8471"); a rate stays in force
+  // until a later period supersedes it
+  getScheduledRate(destCountry, hsCode, period) {
+    const schedule = this.tariffSchedules[destCountry];
+    if (!schedule || !hsCode) return null;
+
+    const line = schedule
+      .filter(l => hsCode.startsWith(l.hsCode))
+      .sort((a, b) => b.hsCode.length - a.hsCode.length)[0];
+    if (!line) return null;
+
+    // Compared by start date, so schedules and calculations can use different granularities
+    const calendar = this.currencyConverter.calendar;
+    const target = calendar.parse(period).start;
+    let effectivePeriod = null;
+    for (const p of Object.keys(line.rates)) {
+      const start = calendar.parse(p).start;
+      if (start <= target && (!effectivePeriod || start > calendar.parse(effectivePeriod).start)) {
+        effectivePeriod = p;
+      }
+    }
+    if (!effectivePeriod) return null;
+
+    return { rate: line.rates[effectivePeriod], tariffLine: line.hsCode, effectivePeriod };
+  }
+
+  // Assess the duty on one hop of a transfer path. Origin is the producing entity,
+  // so goods routed through a third country keep their original origin.
+  assessDuty({ productId, originEntity, fromEntity, toEntity, customsValue, period }) {
+    const crossBorder = fromEntity.country !== toEntity.country;
+    if (!crossBorder) return null;
+
+    const hsCode = this.getHsCode(productId);
+    const originCountry = originEntity.country;
+    const destCountry = toEntity.country;
+    const agreement = this.findTradeAgreement(originCountry, destCountry);
+
+    const assessment = {
+      from: fromEntity.id,
+      to: toEntity.id,
+      originCountry,
+      destCountry,
+      hsCode,
+      customsValue,
+      rate: 0,
+      duty: 0,
+      basis: 'none',
+      ruleId: this.ruleId,
+      tradeAgreement: agreement ? agreement.id : null
+    };
+
+    if (agreement) {
+      assessment.rate = agreement.preferentialRate || 0;
+      assessment.basis = 'trade-agreement';
+    } else {
+      const scheduled = this.getScheduledRate(destCountry, hsCode, period);
+      if (scheduled) {
+        assessment.rate = scheduled.rate;
+        assessment.basis = 'tariff-schedule';
+        assessment.tariffLine = scheduled.tariffLine;
+        assessment.effectivePeriod = scheduled.effectivePeriod;
+      } else {
+        const context = {
+          crossBorder,
+          originCountry,
+          fromCountry: fromEntity.country,
+          destCountry,
+          hsCode,
+          productId,
+          period,
+          tradeAgreement: null
+        };
+        const match = this.conditions.find(c => this.evaluator.evaluate(c.ast, context));
+        if (match) {
+          assessment.rate = match.rate;
+          assessment.basis = 'rule-condition';
+          assessment.ruleId = match.ruleId;
+          assessment.condition = match.expression;
+        }
+      }
+    }
+
+    assessment.duty = Money.of(customsValue).times(assessment.rate).toNumber();
+    return assessment;
+  }
+}
+
+// ============================================================================
+// PATH SELECTION
+// ============================================================================
+
+// Chooses the transfer path that supplies a distribution entity. Every priceable path from a
+// manufacturing entity is a candidate:
+//   { sourceEntity, route: [entityId], landedCost, borderCrossings, groupTax, taxes, ... }
+// A policy ranks candidates ({ name, rank(candidate, context), describe(candidate, context) });
+// the lowest rank wins, ties go to the lower landed cost, and a null rank makes a candidate
+// ineligible. Without an eligible candidate the selection falls back to lowest landed cost,
+// explained by the policy's optional describeFallback(context).
+const BUILT_IN_PATH_POLICIES = [
+  {
+    name: 'lowest-landed-cost',
+    rank: (candidate) => candidate.landedCost,
+    describe: (candidate, { targetCurrency }) => `landed cost ${candidate.landedCost.toFixed(2)} ${targetCurrency}`
+  },
+  {
+    // Income tax on the margin each group entity earns along the path, the destination's
+    // resale margin included when a resale price is known
+    name: 'lowest-group-tax',
+    rank: (candidate) => candidate.groupTax,
+    describe: (candidate, { targetCurrency }) => `group tax ${candidate.groupTax.toFixed(2)} ${targetCurrency}`
+  },
+  {
+    // Only the route designated for the product and destination: { productId, destination, path }
+    name: 'designated-route',
+    rank: (candidate, { designatedPath }) => designatedPath && samePath(candidate.route, designatedPath) ? 0 : null,
+    describe: (candidate, { productId, destEntityId }) => `contractually designated route for ${productId} to ${destEntityId}`,
+    describeFallback: ({ designatedPath, productId, destEntityId }) => designatedPath
+      ? `designated route ${designatedPath.join(' -> ')} is not an available path`
+      : `no designated route for ${productId} to ${destEntityId}`
+  },
+  {
+    name: 'fewest-border-crossings',
+    rank: (candidate) => candidate.borderCrossings,
+    describe: (candidate) => `${candidate.borderCrossings} border crossing${candidate.borderCrossings === 1 ? '' : 's'}`
+  },
+  {
+    // Paths listed in routePriority, first listed first; unlisted paths rank after all of them
+    name: 'route-priority',
+    rank: (candidate, { routePriority }) => {
+      const index = routePriority.findIndex(path => samePath(candidate.route, path));
+      return index === -1 ? routePriority.length : index;
+    },
+    describe: (candidate, { routePriority }) => {
+      const index = routePriority.findIndex(path => samePath(candidate.route, path));
+      return index === -1 ? 'not in the route priority list' : `route priority ${index + 1} of ${routePriority.length}`;
+    }
+  }
+];
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((entityId, i) => entityId === b[i]);
+}
+
+class PathSelector {
+  // options: { policy, byDestination: { entityId: policy }, designatedRoutes, routePriority }
+  constructor(options = {}, customPolicies = []) {
+    this.policies = new Map();
+    // Custom policies may replace built-ins of the same name
+    for (const policy of [...BUILT_IN_PATH_POLICIES, ...customPolicies]) {
+      if (!policy || typeof policy.name !== 'string' || typeof policy.rank !== 'function') {
+        throw new Error('Path policy requires a name and a rank function');
+      }
+      this.policies.set(policy.name, { describe: () => '', ...policy });
+    }
+
+    this.defaultPolicy = options.policy || 'lowest-landed-cost';
+    this.byDestination = options.byDestination || {};
+    this.designatedRoutes = options.designatedRoutes || [];
+    this.routePriority = options.routePriority || [];
+    for (const name of [this.defaultPolicy, ...Object.values(this.byDestination)]) {
+      if (!this.policies.has(name)) {
+        throw new Error(`Unknown path policy "${name}"; expected one of ${Array.from(this.policies.keys()).join(', ')}`);
+      }
+    }
+  }
+
+  getPolicy(destEntityId) {
+    return this.byDestination[destEntityId] || this.defaultPolicy;
+  }
+
+  getDesignatedPath(productId, destEntityId) {
+    return this.designatedRoutes.find(d =>
+      d.destination === destEntityId && (d.productId === undefined || d.productId === productId))?.path || null;
+  }
+
+  // Returns { policy, fallback, chosen, preference, reason, candidates } with every candidate
+  // ranked and the eligible ones in order of preference; chosen is null when none is priceable
+  select(candidates, { productId, destEntityId, targetCurrency }) {
+    const context = {
+      productId,
+      destEntityId,
+      targetCurrency,
+      designatedPath: this.getDesignatedPath(productId, destEntityId),
+      routePriority: this.routePriority
+    };
+    const policyName = this.getPolicy(destEntityId);
+    let policy = this.policies.get(policyName);
+    let fallback = null;
+
+    const rankAll = () => candidates.map(candidate => ({
+      candidate,
+      rank: candidate.priceable ? policy.rank(candidate, context) : null
+    }));
+    let ranked = rankAll();
+    if (candidates.some(c => c.priceable) && !ranked.some(r => r.rank !== null && r.rank !== undefined)) {
+      fallback = policy.describeFallback?.(context) || `no path is eligible under ${policyName}`;
+      policy = this.policies.get('lowest-landed-cost');
+      ranked = rankAll();
+    }
+
+    const eligible = ranked
+      .filter(r => r.rank !== null && r.rank !== undefined)
+      .sort((a, b) => a.rank - b.rank || a.candidate.landedCost - b.candidate.landedCost);
+    const [winner, runnerUp] = eligible;
+
+    return {
+      policy: policyName,
+      fallback,
+      chosen: winner?.candidate || null,
+      preference: eligible.map(r => r.candidate),
+      reason: winner ? this.explain(policy, winner, runnerUp, fallback, context) : null,
+      candidates: ranked.map(({ candidate, rank }) => ({
+        sourceEntity: candidate.sourceEntity,
+        route: candidate.route,
+        landedCost: candidate.landedCost,
+        borderCrossings: candidate.borderCrossings,
+        groupTax: candidate.groupTax,
+        rank: rank ?? null,
+        chosen: candidate === winner?.candidate,
+        ...(!candidate.priceable && { excluded: candidate.excluded })
+      }))
+    };
+  }
+
+  explain(policy, winner, runnerUp, fallback, context) {
+    const label = (candidate) => candidate.route.join(' -> ');
+    let reason = `${policy.name}: chose ${label(winner.candidate)} (${policy.describe(winner.candidate, context)})`;
+    if (runnerUp) {
+      reason += runnerUp.rank === winner.rank
+        ? `; tied with ${label(runnerUp.candidate)}, won on landed cost ` +
+          `${winner.candidate.landedCost.toFixed(2)} vs ${runnerUp.candidate.landedCost.toFixed(2)}`
+        : `; next best ${label(runnerUp.candidate)} (${policy.describe(runnerUp.candidate, context)})`;
+    }
+    return fallback ? `${reason} (fallback: ${fallback})` : reason;
+  }
+}
+
+// ============================================================================
+// ARM'S-LENGTH COMPLIANCE
+// ============================================================================
+
+// Tests realized intercompany rates against comparable benchmarks, each an interquartile
+// range { transactionType, country, lowerQuartile, median, upperQuartile }. Goods are
+// benchmarked as transaction type 'goods' on their markup over cost, services by their item
+// type ('royalty', 'mgmt-fee', 'r&d-service') on the rate or markup charged. A transaction is
+// tested in the country of the entity earning it, falling back to a benchmark without a country.
+const COMPLIANCE_STATUSES = ['in-range', 'below-range', 'above-range', 'no-benchmark'];
+const RATE_SCALE = 4; // realized rates are compared to the basis point
+
+class ComplianceTester {
+  // options: { autoTrueUp } - book year-end true-ups of out-of-range transactions to the median
+  constructor(benchmarks = [], options = {}) {
+    this.benchmarks = benchmarks;
+    this.autoTrueUp = options.autoTrueUp || false;
+  }
+
+  findBenchmark(transactionType, country) {
+    const comparables = this.benchmarks.filter(b => b.transactionType === transactionType);
+    return comparables.find(b => b.country === country) || comparables.find(b => !b.country) || null;
+  }
+
+  // { realized, benchmark, status } of one realized rate
+  test(transactionType, country, realized) {
+    const rate = Money.of(realized).round(RATE_SCALE).toNumber();
+    const benchmark = this.findBenchmark(transactionType, country);
+    if (!benchmark) return { realized: rate, benchmark: null, status: 'no-benchmark' };
+
+    const { lowerQuartile, median, upperQuartile } = benchmark;
+    const status = rate < lowerQuartile ? 'below-range' : rate > upperQuartile ? 'above-range' : 'in-range';
+    return {
+      realized: rate,
+      benchmark: { country: benchmark.country || null, lowerQuartile, median, upperQuartile },
+      status
+    };
+  }
+
+  summarize(findings) {
+    return Object.fromEntries(COMPLIANCE_STATUSES.map(status =>
+      [status, findings.filter(finding => finding.status === status).length]));
+  }
+}
+
+// ============================================================================
+// RULE HANDLERS
+// ============================================================================
+
+// A rule handler implements one allocation rule type:
+//   type     - the rule.type it handles
+//   schema   - rule parameters: { name: { type, required, min, max, enum } }
+//   inputs   - cost elements the handler reads
+//   outputs  - cost elements the handler adds to. A number returned by apply() goes to
+//              the single output, an object maps outputs to amounts; with no outputs the
+//              return value is only recorded as the rule output.
+//   apply(ctx) with ctx = { rule, cost, productId, entityId, period, targetCurrency, engine, record,
+//              dependOn }. Handlers that read other cost records declare them with
+//              dependOn(costKey) so incremental recalculation reaches this rule.
+const BUILT_IN_RULE_HANDLERS = [
+  {
+    type: 'sum-components',
+    inputs: ['directMaterial', 'directLabor'],
+    outputs: [],
+    // Already handled in base cost calculation
+    apply: ({ cost }) => Money.of(cost.directMaterial).plus(cost.directLabor).toNumber()
+  },
+  {
+    type: 'multiply',
+    schema: { factor: { type: 'string' } },
+    inputs: [],
+    outputs: [],
+    // Scrap adjustment is already factored into component quantities
+    apply: () => 0
+  },
+  {
+    type: 'labor-burden',
+    schema: { burdenRate: { type: 'number', required: true, min: 0 } },
+    inputs: ['directLabor'],
+    outputs: ['laborBurden'],
+    apply: ({ rule, cost, record }) => {
+      if (cost.directLabor <= 0) return 0;
+      const burden = Money.of(cost.directLabor).times(rule.burdenRate).toNumber();
+      record(burden, `Labor burden: ${cost.directLabor.toFixed(2)} * ${rule.burdenRate} = ${burden.toFixed(2)}`);
+      return burden;
+    }
+  },
+  {
+    type: 'percentage-of-base',
+    schema: {
+      baseRules: { type: 'array', required: true },
+      percentage: { type: 'number', required: true, min: 0 }
+    },
+    // Reads whatever its baseRules produced, see CostCalculator.getRuleBaseAmount
+    inputs: [],
+    outputs: ['factoryOverhead'],
+    apply: ({ rule, cost, productId, entityId, period, engine, record }) => {
+      const parts = rule.baseRules.map(baseRuleId => ({
+        ruleId: baseRuleId,
+        amount: engine.getRuleBaseAmount(baseRuleId, cost, productId, entityId, period)
+      }));
+      const baseAmount = parts.reduce((sum, part) => sum.plus(part.amount), Money.zero());
+      const overhead = baseAmount.times(rule.percentage).toNumber();
+      record(overhead, `${rule.name || rule.id}: (${parts.map(p => `${p.ruleId}=${p.amount.toFixed(2)}`).join(' + ')}) ` +
+        `* ${rule.percentage} = ${overhead.toFixed(2)}`);
+      return overhead;
+    }
+  },
+  {
+    type: 'per-unit-allocation',
+    schema: {
+      poolId: { type: 'string', required: true },
+      allocationBase: { type: 'string', enum: ['production-volume', 'labor-hours', 'material-cost', 'revenue'] },
+      lookbackPeriods: { type: 'number', min: 1 }
+    },
+    inputs: [],
+    outputs: ['rndAmortization'],
+    apply: ({ rule, productId, entityId, period, targetCurrency, engine, record, dependOn }) => {
+      const allocation = engine.getPoolAllocation(rule, period, targetCurrency);
+      // Shares move with every cost record that drives them
+      for (const sourceKey of allocation.sourceKeys) dependOn(sourceKey);
+      const line = allocation.lines.find(l => l.productId === productId && l.entityId === entityId);
+      if (!line || line.unitCost === 0) return 0;
+
+      record(line.unitCost, `${rule.name || rule.id}: pool=${allocation.poolAmount.toFixed(2)} * ` +
+        `${(line.share * 100).toFixed(2)}% ${allocation.allocationBase} share / ${line.volume} units`);
+      return line.unitCost;
+    }
+  },
+  {
+    type: 'transfer-price',
+    schema: { transferType: { type: 'string', required: true, enum: ['royalty', 'mgmt-fee', 'goods'] } },
+    inputs: ['totalCost'],
+    outputs: ['royalty', 'managementFee'],
+    apply: ({ rule, cost, productId, entityId, period, targetCurrency, engine, record }) => {
+      // Goods markups are applied along transfer paths in the transfer pricing phase
+      if (rule.transferType === 'goods') return 0;
+
+      // All charges on the record are solved together; see CostCalculator.getRecordCharges
+      const element = rule.transferType === 'royalty' ? 'royalty' : 'managementFee';
+      const charges = engine.getRecordCharges(productId, entityId, period, targetCurrency, cost)
+        .filter(charge => charge.ruleId === rule.id);
+
+      let amount = Money.zero();
+      for (const charge of charges) {
+        amount = amount.plus(charge.amount);
+        record(charge.amount, rule.transferType === 'royalty'
+          ? `IP Royalty from ${charge.fromEntity}: ${charge.base.toFixed(2)} * ${charge.rate}`
+          : `Management fee from ${charge.fromEntity}: ${charge.rate * 100}% of ${charge.base.toFixed(2)}`);
+      }
+      return { [element]: amount.toNumber() };
+    }
+  },
+  {
+    type: 'conditional',
+    schema: { conditions: { type: 'array', required: true } },
+    inputs: [],
+    outputs: [],
+    // Customs duties are assessed per cross-border hop by the DutyEngine in transfer pricing
+    apply: () => 0
+  },
+  {
+    type: 'weighted-average',
+    schema: { weights: { type: 'object' } },
+    inputs: [],
+    outputs: [],
+    // Weights are applied by the InventoryCostingEngine in the inventory costing phase
+    apply: () => 0
+  },
+  {
+    type: 'variance-calculation',
+    schema: { compareAgainst: { type: 'string' } },
+    inputs: [],
+    outputs: [],
+    // Handled in separate phase
+    apply: () => 0
+  }
+];
+
+// ============================================================================
+// RULE ENGINE
+// ============================================================================
+
+// appliesTo filters read from the product's item master entry
+const ITEM_FILTERS = ['itemType', 'productCategory', 'costingMethod'];
+
+class RuleEngine {
+  constructor(allocationRules, auditTrail, ruleHandlers = []) {
+    this.rules = new Map();
+    this.ruleGraph = new Graph();
+    this.auditTrail = auditTrail;
+    this.handlers = new Map();
+
+    // Custom handlers may replace built-ins of the same type
+    for (const handler of [...BUILT_IN_RULE_HANDLERS, ...ruleHandlers]) {
+      this.registerHandler(handler);
+    }
+
+    const errors = allocationRules.flatMap(rule => this.validateRule(rule));
+    if (errors.length > 0) {
+      throw new Error(`Invalid allocation rules: ${errors.join('; ')}`);
+    }
+
+    // Index rules and build dependency graph
+    for (const rule of allocationRules) {
+      this.rules.set(rule.id, rule);
+      this.ruleGraph.addNode(rule.id);
+    }
+
+    for (const rule of allocationRules) {
+      for (const depId of (rule.dependencies || [])) {
+        this.ruleGraph.addEdge(depId, rule.id);
+      }
+    }
+
+    // Validate no cycles
+    const cycles = this.ruleGraph.detectCycles();
+    if (cycles.length > 0) {
+      throw new Error(`Rule dependencies contain cycles: ${cycles.map(c => c.join(' -> ')).join('; ')}`);
+    }
+
+    const baseRuleErrors = allocationRules.flatMap(rule => this.validateBaseRules(rule));
+    if (baseRuleErrors.length > 0) {
+      throw new Error(`Invalid allocation rules: ${baseRuleErrors.join('; ')}`);
+    }
+
+    this.executionOrder = this.ruleGraph.topologicalSort();
+    this.auditTrail.log('RULES_VALIDATED', {
+      ruleCount: allocationRules.length,
+      executionOrder: this.executionOrder
+    });
+  }
+
+  getExecutionOrder() {
+    return this.executionOrder;
+  }
+
+  getRule(ruleId) {
+    return this.rules.get(ruleId);
+  }
+
+  registerHandler(handler) {
+    if (!handler || typeof handler.type !== 'string' || typeof handler.apply !== 'function') {
+      throw new Error('Rule handler requires a type and an apply function');
+    }
+    this.handlers.set(handler.type, {
+      schema: {},
+      inputs: [],
+      outputs: [],
+      ...handler
+    });
+  }
+
+  getHandler(type) {
+    return this.handlers.get(type);
+  }
+
+  // Cost elements written by the rules in use, in execution order
+  getOutputElements() {
+    const elements = new Set();
+    for (const ruleId of this.executionOrder) {
+      for (const element of this.handlers.get(this.rules.get(ruleId).type).outputs) {
+        elements.add(element);
+      }
+    }
+    return Array.from(elements);
+  }
+
+  // Evaluate a rule's appliesTo filter against one application.
+  // scope = { productId, item, componentTypes, entity, transferType }
+  checkAppliesTo(rule, scope) {
+    const filter = rule.appliesTo || {};
+    const matches = (expected, actual) =>
+      expected === 'all' || (Array.isArray(expected) ? expected.includes(actual) : expected === actual);
+
+    const needsItem = ITEM_FILTERS.some(f => filter[f] !== undefined && filter[f] !== 'all');
+    if (needsItem && !scope.item) {
+      return { applies: false, missingItem: true, reason: `no item master entry for ${scope.productId}` };
+    }
+
+    // An item type matches the item itself or an assembly that directly consumes
+    // items of that type, e.g. labor burden applies to assemblies with labor content
+    if (filter.itemType !== undefined && !matches(filter.itemType, scope.item?.itemType) &&
+        !(scope.componentTypes || []).some(type => matches(filter.itemType, type))) {
+      return { applies: false, reason: `itemType ${scope.item.itemType} does not match ${filter.itemType}` };
+    }
+    if (filter.entityType !== undefined && !matches(filter.entityType, scope.entity?.type)) {
+      return { applies: false, reason: `entityType ${scope.entity?.type} does not match ${filter.entityType}` };
+    }
+    if (filter.productCategory !== undefined && !matches(filter.productCategory, scope.item.category)) {
+      return { applies: false, reason: `productCategory ${scope.item.category} does not match ${filter.productCategory}` };
+    }
+    if (filter.costingMethod !== undefined && !matches(filter.costingMethod, scope.item.costingMethod)) {
+      return { applies: false, reason: `costingMethod ${scope.item.costingMethod} does not match ${filter.costingMethod}` };
+    }
+    if (filter.transferType !== undefined && !matches(filter.transferType, scope.transferType)) {
+      return {
+        applies: false,
+        reason: scope.transferType
+          ? `transferType ${scope.transferType} does not match ${filter.transferType}`
+          : `applies to ${filter.transferType} transfers only`
+      };
+    }
+
+    return { applies: true };
+  }
+
+  // Transitive dependencies of a rule
+  getAncestors(ruleId) {
+    const ancestors = new Set();
+    const visit = (id) => {
+      for (const depId of (this.rules.get(id)?.dependencies || [])) {
+        if (!ancestors.has(depId)) {
+          ancestors.add(depId);
+          visit(depId);
+        }
+      }
+    };
+    visit(ruleId);
+    return ancestors;
+  }
+
+  // Base rules must exist and run earlier, so their outputs are final when read
+  validateBaseRules(rule) {
+    if (!rule.baseRules) return [];
+
+    const ancestors = this.getAncestors(rule.id);
+    const errors = [];
+    for (const baseRuleId of rule.baseRules) {
+      if (!this.rules.has(baseRuleId)) {
+        errors.push(`${rule.id}: unknown base rule "${baseRuleId}"`);
+      } else if (!ancestors.has(baseRuleId)) {
+        errors.push(`${rule.id}: base rule "${baseRuleId}" must be a direct or transitive dependency`);
+      }
+    }
+    return errors;
+  }
+
+  validateRule(rule) {
+    const handler = this.handlers.get(rule.type);
+    if (!handler) {
+      return [`${rule.id}: unknown rule type "${rule.type}"`];
+    }
+
+    const errors = [];
+    if (rule.outputElements !== undefined &&
+        (!Array.isArray(rule.outputElements) || rule.outputElements.some(e => typeof e !== 'string'))) {
+      errors.push(`${rule.id}: outputElements must be an array of cost element names`);
+    }
+
+    for (const [name, spec] of Object.entries(handler.schema)) {
+      const value = rule[name];
+      if (value === undefined) {
+        if (spec.required) errors.push(`${rule.id}: missing required parameter "${name}"`);
+        continue;
+      }
+
+      const actualType = Array.isArray(value) ? 'array' : typeof value;
+      if (spec.type && actualType !== spec.type) {
+        errors.push(`${rule.id}: parameter "${name}" must be ${spec.type}, got ${actualType}`);
+        continue;
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${rule.id}: parameter "${name}" must be >= ${spec.min}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        errors.push(`${rule.id}: parameter "${name}" must be <= ${spec.max}`);
+      }
+      if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`${rule.id}: parameter "${name}" must be one of ${spec.enum.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
+  // Rules of a given type, in execution order
+  getRulesByType(type) {
+    return this.executionOrder
+      .map(ruleId => this.rules.get(ruleId))
+      .filter(rule => rule && rule.type === type);
+  }
+
+  // Get rules that can execute in parallel (no interdependencies)
+  getParallelGroups() {
+    const groups = [];
+    const executed = new Set();
+
+    while (executed.size < this.rules.size) {
+      const group = [];
+
+      for (const ruleId of this.executionOrder) {
+        if (executed.has(ruleId)) continue;
+
+        const rule = this.rules.get(ruleId);
+        const depsReady = (rule.dependencies || []).every(d => executed.has(d));
+
+        if (depsReady) {
+          group.push(ruleId);
+        }
+      }
+
+      if (group.length === 0) break;
+
+      for (const ruleId of group) {
+        executed.add(ruleId);
+      }
+      groups.push(group);
+    }
+
+    return groups;
+  }
+}
+
+// ============================================================================
+// CONFIG VALIDATOR
+// ============================================================================
+
+// Rate types the engine reads: period averages for costs, spot for transactions and resale
+// prices, closing for reporting translation
+const VALIDATED_RATE_TYPES = ['average', 'spot', 'closing'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Checks the input datasets before calculation and collects every problem found.
+// Errors make a configuration unusable; warnings are suspicious but calculable.
+class ConfigValidator {
+  constructor(config) {
+    this.config = config || {};
+    this.issues = [];
+    this.malformedPaths = new Set();
+  }
+
+  getCalendar() {
+    try {
+      return new PeriodCalendar(this.config.fiscalCalendar);
+    } catch (e) {
+      this.addIssue('error', 'INVALID_CALENDAR', 'fiscalCalendar', 'fiscalCalendar', e.message);
+      return new PeriodCalendar();
+    }
+  }
+
+  validate() {
+    this.issues = [];
+    this.malformedPaths = new Set();
+    this.checkBillOfMaterials();
+    this.checkEntities();
+    this.checkTransferRoutes();
+    this.checkPathSelection();
+    this.checkBenchmarks();
+    this.checkSupplyQuantities();
+    this.checkPeriodCosts();
+    this.checkExchangeRates();
+    this.checkAllocationRules();
+    this.checkPeriods();
+
+    const errors = this.issues.filter(issue => issue.severity === 'error');
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings: this.issues.filter(issue => issue.severity === 'warning')
+    };
+  }
+
+  addIssue(severity, code, dataset, path, message) {
+    this.issues.push({ severity, code, dataset, path, message });
+  }
+
+  // An entry of the wrong shape is reported once, by the first check that reads it, and is
+  // left out of every check, so a malformed dataset yields a report rather than a TypeError
+  malformed(dataset, path, expected, value) {
+    if (this.malformedPaths.has(path)) return;
+    this.malformedPaths.add(path);
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'an array' : typeof value;
+    this.addIssue('error', 'MALFORMED_ENTRY', dataset, path, `Expected ${expected}, got ${actual}`);
+  }
+
+  // [entry, index] of each object in an array dataset
+  records(items, dataset, path = dataset) {
+    if (items === undefined || items === null) return [];
+    if (!Array.isArray(items)) {
+      this.malformed(dataset, path, 'an array', items);
+      return [];
+    }
+    return items.flatMap((item, index) => {
+      if (isPlainObject(item)) return [[item, index]];
+      this.malformed(dataset, `${path}[${index}]`, 'an object', item);
+      return [];
+    });
+  }
+
+  // [key, value] of each object value in a keyed dataset
+  recordEntries(map, dataset, path = dataset) {
+    if (map === undefined || map === null) return [];
+    if (!isPlainObject(map)) {
+      this.malformed(dataset, path, 'an object', map);
+      return [];
+    }
+    return Object.entries(map).filter(([key, value]) => {
+      if (isPlainObject(value)) return true;
+      this.malformed(dataset, `${path}.${key}`, 'an object', value);
+      return false;
+    });
+  }
+
+  checkDuplicates(records, key, dataset, code) {
+    const seen = new Set();
+    for (const [item, index] of records) {
+      if (seen.has(item[key])) {
+        this.addIssue('error', code, dataset, `${dataset}[${index}].${key}`,
+          `Duplicate ${key} "${item[key]}"`);
+      }
+      seen.add(item[key]);
+    }
+  }
+
+  getProducts() {
+    return this.records(this.config.billOfMaterials, 'billOfMaterials');
+  }
+
+  getComponents(product, productIndex) {
+    return this.records(product.components, 'billOfMaterials', `billOfMaterials[${productIndex}].components`);
+  }
+
+  checkBillOfMaterials() {
+    const bom = this.getProducts();
+    this.checkDuplicates(bom, 'productId', 'billOfMaterials', 'DUPLICATE_PRODUCT_ID');
+
+    for (const [product, productIndex] of bom) {
+      for (const [component, componentIndex] of this.getComponents(product, productIndex)) {
+        const scrapRate = component.scrapRate ?? 0;
+        if (typeof scrapRate !== 'number' || !(scrapRate >= 0 && scrapRate < 1)) {
+          this.addIssue('error', 'INVALID_SCRAP_RATE', 'billOfMaterials',
+            `billOfMaterials[${productIndex}].components[${componentIndex}].scrapRate`,
+            `Scrap rate ${scrapRate} for ${component.itemId} in ${product.productId} is outside [0, 1)`);
+        }
+      }
+    }
+  }
+
+  getEntities() {
+    return this.records(this.config.entities, 'entities');
+  }
+
+  getEntityIds() {
+    return new Set(this.getEntities().map(([entity]) => entity.id));
+  }
+
+  checkEntities() {
+    const entities = this.getEntities();
+    const entityIds = this.getEntityIds();
+    this.checkDuplicates(entities, 'id', 'entities', 'DUPLICATE_ENTITY_ID');
+
+    for (const [entity, index] of entities) {
+      if (entity.parent && !entityIds.has(entity.parent)) {
+        this.addIssue('error', 'UNKNOWN_ENTITY', 'entities', `entities[${index}].parent`,
+          `Entity ${entity.id} has unknown parent "${entity.parent}"`);
+      }
+      if (entity.taxRate !== undefined && (typeof entity.taxRate !== 'number' || !(entity.taxRate >= 0 && entity.taxRate < 1))) {
+        this.addIssue('error', 'INVALID_TAX_RATE', 'entities', `entities[${index}].taxRate`,
+          `Tax rate ${entity.taxRate} for ${entity.id} is outside [0, 1)`);
+      }
+    }
+  }
+
+  // Capacities are per manufacturing entity and demand per distribution entity, in units
+  checkSupplyQuantities() {
+    const entities = new Map(this.getEntities().map(([entity]) => [entity.id, entity]));
+    const expectedType = { capacities: 'manufacturing', demand: 'distribution' };
+    for (const [dataset, type] of Object.entries(expectedType)) {
+      for (const [period, byEntity] of this.recordEntries(this.config[dataset], dataset)) {
+        for (const [entityId, products] of this.recordEntries(byEntity, dataset, `${dataset}.${period}`)) {
+          const path = `${dataset}.${period}.${entityId}`;
+          if (!entities.has(entityId)) {
+            this.addIssue('error', 'UNKNOWN_ENTITY', dataset, path, `${dataset} references unknown entity "${entityId}"`);
+          } else if (entities.get(entityId).type !== type) {
+            this.addIssue('warning', 'UNUSED_QUANTITY', dataset, path,
+              `${entityId} is not a ${type} entity; its ${dataset} are ignored`);
+          }
+          for (const [productId, units] of Object.entries(products)) {
+            if (typeof units !== 'number' || !(units >= 0)) {
+              this.addIssue('error', 'INVALID_QUANTITY', dataset, `${path}.${productId}`,
+                `${dataset} of ${productId} at ${entityId} must be a non-negative number, got ${units}`);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Designated and prioritized paths must name known entities
+  checkPathSelection() {
+    const entityIds = this.getEntityIds();
+    const selection = this.config.pathSelection ?? {};
+    if (!isPlainObject(selection)) {
+      this.malformed('pathSelection', 'pathSelection', 'an object', selection);
+      return;
+    }
+    const routePriority = selection.routePriority ?? [];
+    if (!Array.isArray(routePriority)) this.malformed('pathSelection', 'pathSelection.routePriority', 'an array', routePriority);
+    const paths = [
+      ...this.records(selection.designatedRoutes, 'pathSelection', 'pathSelection.designatedRoutes')
+        .map(([designation, index]) => [`pathSelection.designatedRoutes[${index}].path`, designation.path || []]),
+      ...(Array.isArray(routePriority) ? routePriority : []).map((path, index) => [`pathSelection.routePriority[${index}]`, path])
+    ];
+    for (const [path, entities] of paths) {
+      if (!Array.isArray(entities)) {
+        this.malformed('pathSelection', path, 'an array', entities);
+        continue;
+      }
+      for (const entityId of entities.filter(id => !entityIds.has(id))) {
+        this.addIssue('error', 'UNKNOWN_ENTITY', 'pathSelection', path,
+          `Path ${entities.join(' -> ')} references unknown entity "${entityId}"`);
+      }
+    }
+  }
+
+  // Interquartile ranges must be ordered; one benchmark per transaction type and country
+  checkBenchmarks() {
+    const seen = new Set();
+    for (const [benchmark, index] of this.records(this.config.benchmarks, 'benchmarks')) {
+      const { transactionType, country, lowerQuartile, median, upperQuartile } = benchmark;
+      const label = country ? `${transactionType} (${country})` : transactionType;
+      const quartiles = [lowerQuartile, median, upperQuartile];
+      if (!quartiles.every(q => typeof q === 'number') || !(lowerQuartile <= median && median <= upperQuartile)) {
+        this.addIssue('error', 'INVALID_BENCHMARK', 'benchmarks', `benchmarks[${index}]`,
+          `Benchmark ${label} needs lowerQuartile <= median <= upperQuartile, got ${quartiles.join(', ')}`);
+      }
+      const key = `${transactionType}:${country || ''}`;
+      if (seen.has(key)) {
+        this.addIssue('error', 'DUPLICATE_BENCHMARK', 'benchmarks', `benchmarks[${index}]`,
+          `Duplicate benchmark for ${label}`);
+      }
+      seen.add(key);
+    }
+  }
+
+  checkTransferRoutes() {
+    const entityIds = this.getEntityIds();
+    for (const [route, index] of this.records(this.config.transferRoutes, 'transferRoutes')) {
+      for (const end of ['from', 'to']) {
+        if (!entityIds.has(route[end])) {
+          this.addIssue('error', 'UNKNOWN_ENTITY', 'transferRoutes', `transferRoutes[${index}].${end}`,
+            `Route ${route.from} -> ${route.to} references unknown entity "${route[end]}"`);
+        }
+      }
+    }
+  }
+
+  getPeriodCosts() {
+    return this.records(this.config.periodCosts, 'periodCosts');
+  }
+
+  // Period entries of a dataset entry with `periods`, e.g. { '2024-Q1': { unit, currency } }
+  getPeriodEntries(entry, dataset, path) {
+    return this.recordEntries(entry.periods, dataset, `${path}.periods`);
+  }
+
+  checkPeriodCosts() {
+    const bomItems = new Set();
+    for (const [product, productIndex] of this.getProducts()) {
+      bomItems.add(product.productId);
+      for (const [component] of this.getComponents(product, productIndex)) bomItems.add(component.itemId);
+    }
+    const entityIds = this.getEntityIds();
+
+    for (const [cost, index] of this.getPeriodCosts()) {
+      if (!bomItems.has(cost.itemId)) {
+        this.addIssue('error', 'UNKNOWN_ITEM', 'periodCosts', `periodCosts[${index}].itemId`,
+          `Period cost for ${cost.itemId}, which is not in the bill of materials`);
+      }
+      if (!entityIds.has(cost.entityId)) {
+        this.addIssue('error', 'UNKNOWN_ENTITY', 'periodCosts', `periodCosts[${index}].entityId`,
+          `Period cost for ${cost.itemId} references unknown entity "${cost.entityId}"`);
+      }
+      this.getPeriodEntries(cost, 'periodCosts', `periodCosts[${index}]`);
+    }
+  }
+
+  // Rates by period with only well-formed quotes: a number or { rateType: number }
+  getExchangeRates() {
+    return Object.fromEntries(this.recordEntries(this.config.exchangeRates, 'exchangeRates').map(([period, quotes]) => [
+      period,
+      Object.fromEntries(Object.entries(quotes).filter(([pair, quote]) => {
+        if (typeof quote === 'number' || isPlainObject(quote)) return true;
+        this.malformed('exchangeRates', `exchangeRates.${period}.${pair}`, 'a number or an object', quote);
+        return false;
+      }))
+    ]));
+  }
+
+  // Every currency in use must convert to USD, the default target currency, in each rate type
+  // the engine reads: direct, inverse or triangulated quotes, as the converter resolves them
+  checkExchangeRates() {
+    const rates = this.getExchangeRates();
+    const converter = new CurrencyConverter(rates);
+    const periods = Object.keys(rates);
+    const used = new Map(); // currency -> first place it is used
+    const use = (currency, path) => {
+      if (currency && currency !== 'USD' && !used.has(currency)) used.set(currency, path);
+    };
+
+    for (const [entity, index] of this.getEntities()) use(entity.currency, `entities[${index}].currency`);
+    for (const [cost, index] of this.getPeriodCosts()) {
+      for (const [period, data] of this.getPeriodEntries(cost, 'periodCosts', `periodCosts[${index}]`)) {
+        use(data.currency, `periodCosts[${index}].periods.${period}.currency`);
+      }
+    }
+    for (const [poolId, pool] of this.recordEntries(this.config.costPools, 'costPools')) {
+      for (const [period, data] of this.getPeriodEntries(pool, 'costPools', `costPools.${poolId}`)) {
+        use(data.currency, `costPools.${poolId}.periods.${period}.currency`);
+      }
+    }
+    for (const [productId, standards] of this.recordEntries(this.config.standardCosts, 'standardCosts')) {
+      use(standards.currency, `standardCosts.${productId}.currency`);
+    }
+
+    for (const [currency, path] of used) {
+      const rateKey = `${currency}/USD`;
+      const gaps = periods
+        .map(period => ({
+          period,
+          rateTypes: VALIDATED_RATE_TYPES.filter(rateType => !converter.findRate(currency, 'USD', period, rateType))
+        }))
+        .filter(gap => gap.rateTypes.length > 0);
+      const never = VALIDATED_RATE_TYPES.filter(rateType =>
+        periods.every(period => gaps.some(gap => gap.period === period && gap.rateTypes.includes(rateType))));
+      if (never.length > 0) {
+        this.addIssue('error', 'MISSING_EXCHANGE_RATE', 'exchangeRates', path,
+          `No ${never.join('/')} exchange rate ${rateKey} in any period`);
+      }
+      const partial = gaps
+        .map(gap => ({ ...gap, rateTypes: gap.rateTypes.filter(rateType => !never.includes(rateType)) }))
+        .filter(gap => gap.rateTypes.length > 0);
+      if (partial.length > 0) {
+        this.addIssue('warning', 'MISSING_EXCHANGE_RATE', 'exchangeRates', path,
+          `No exchange rate ${rateKey} for ${partial.map(gap => `${gap.period} (${gap.rateTypes.join(', ')})`).join(', ')}`);
+      }
+    }
+  }
+
+  checkAllocationRules() {
+    const rules = this.records(this.config.allocationRules, 'allocationRules');
+    const ruleIds = new Set(rules.map(([rule]) => rule.id));
+    const poolIds = new Set(this.recordEntries(this.config.costPools, 'costPools').map(([poolId]) => poolId));
+    const itemIds = new Set(this.records(this.config.itemMaster, 'itemMaster').map(([item]) => item.itemId));
+    const unlisted = this.getProducts()
+      .map(([product]) => product.productId)
+      .filter(productId => !itemIds.has(productId));
+    this.checkDuplicates(rules, 'id', 'allocationRules', 'DUPLICATE_RULE_ID');
+
+    for (const [rule, index] of rules) {
+      for (const field of ['dependencies', 'baseRules']) {
+        const references = rule[field] ?? [];
+        if (!Array.isArray(references)) {
+          this.malformed('allocationRules', `allocationRules[${index}].${field}`, 'an array', references);
+          continue;
+        }
+        for (const ruleId of references) {
+          if (!ruleIds.has(ruleId)) {
+            this.addIssue('error', 'UNKNOWN_RULE', 'allocationRules', `allocationRules[${index}].${field}`,
+              `Rule ${rule.id} references unknown rule "${ruleId}"`);
+          }
+        }
+      }
+      if (rule.poolId && !poolIds.has(rule.poolId)) {
+        this.addIssue('error', 'UNKNOWN_POOL', 'allocationRules', `allocationRules[${index}].poolId`,
+          `Rule ${rule.id} references unknown cost pool "${rule.poolId}"`);
+      }
+
+      // Item filters skip every product without an item master entry
+      const appliesTo = isPlainObject(rule.appliesTo) ? rule.appliesTo : {};
+      const itemFilters = ITEM_FILTERS.filter(f => appliesTo[f] !== undefined && appliesTo[f] !== 'all');
+      if (itemFilters.length > 0 && itemIds.size === 0) {
+        this.addIssue('error', 'MISSING_ITEM_MASTER', 'allocationRules', `allocationRules[${index}].appliesTo`,
+          `Rule ${rule.id} filters on ${itemFilters.join(', ')} but there is no item master, so it never applies`);
+      } else if (itemFilters.length > 0 && unlisted.length > 0) {
+        this.addIssue('warning', 'MISSING_ITEM_MASTER', 'allocationRules', `allocationRules[${index}].appliesTo`,
+          `Rule ${rule.id} filters on ${itemFilters.join(', ')} and skips products without an item master ` +
+          `entry: ${unlisted.join(', ')}`);
+      }
+    }
+  }
+
+  checkPeriods() {
+    const calendar = this.getCalendar();
+    const check = (period, dataset, path) => {
+      if (!calendar.isValid(period)) {
+        this.addIssue('error', 'MALFORMED_PERIOD', dataset, path,
+          `Period "${period}" is not a year, quarter, month or fiscal period label`);
+      }
+    };
+
+    for (const period of Object.keys(this.getExchangeRates())) {
+      check(period, 'exchangeRates', `exchangeRates.${period}`);
+    }
+    for (const dataset of ['productionVolumes', 'capacities', 'demand']) {
+      for (const [period] of this.recordEntries(this.config[dataset], dataset)) {
+        check(period, dataset, `${dataset}.${period}`);
+      }
+    }
+    for (const [cost, index] of this.getPeriodCosts()) {
+      for (const [period] of this.getPeriodEntries(cost, 'periodCosts', `periodCosts[${index}]`)) {
+        check(period, 'periodCosts', `periodCosts[${index}].periods.${period}`);
+      }
+    }
+    for (const [poolId, pool] of this.recordEntries(this.config.costPools, 'costPools')) {
+      for (const [period] of this.getPeriodEntries(pool, 'costPools', `costPools.${poolId}`)) {
+        check(period, 'costPools', `costPools.${poolId}.periods.${period}`);
+      }
+    }
+    for (const [entry, index] of this.records(this.config.resalePrices, 'resalePrices')) {
+      for (const [period] of this.getPeriodEntries(entry, 'resalePrices', `resalePrices[${index}]`)) {
+        check(period, 'resalePrices', `resalePrices[${index}].periods.${period}`);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// SCENARIO BUILDER
+// ============================================================================
+
+// Derives a scenario configuration from a base configuration and a list of changes.
+// Datasets are copied where a change touches them, so the base configuration is never
+// mutated. Supported changes:
+//   { type: 'cost', itemId, entityId, period, value, currency }
+//   { type: 'exchangeRate', from, to, period, value, rateType }  (all periods when period is omitted)
+//   { type: 'routeMarkup', from, to, markupValue, markupType }
+//   { type: 'addRoute', route }
+//   { type: 'removeRoute', from, to }
+//   { type: 'ruleParameter', ruleId, parameter, value }
+//   { type: 'bomComponent', productId, itemId, quantity, scrapRate }
+//   { type: 'productionVolume', entityId, productId, period, value }
+//   { type: 'costPool', poolId, period, amount, currency }
+class ScenarioBuilder {
+  constructor(config) {
+    this.config = config;
+  }
+
+  build(changes = []) {
+    const config = { ...this.config };
+    for (const change of changes) {
+      switch (change.type) {
+        case 'cost': this.applyCost(config, change); break;
+        case 'exchangeRate': this.applyExchangeRate(config, change); break;
+        case 'routeMarkup': this.applyRouteMarkup(config, change); break;
+        case 'addRoute': this.applyAddRoute(config, change); break;
+        case 'removeRoute': this.applyRemoveRoute(config, change); break;
+        case 'ruleParameter': this.applyRuleParameter(config, change); break;
+        case 'bomComponent': this.applyBomComponent(config, change); break;
+        case 'productionVolume': this.applyProductionVolume(config, change); break;
+        case 'costPool': this.applyCostPool(config, change); break;
+        default:
+          throw new Error(`Unknown scenario change type "${change.type}"`);
+      }
+    }
+    return config;
+  }
+
+  applyCost(config, { itemId, entityId, period, value, currency }) {
+    const existing = config.periodCosts.find(c => c.itemId === itemId && c.entityId === entityId);
+    const data = { unit: value, currency: currency || existing?.periods[period]?.currency || 'USD' };
+    config.periodCosts = existing
+      ? config.periodCosts.map(c => c === existing ? { ...c, periods: { ...c.periods, [period]: data } } : c)
+      : [...config.periodCosts, { itemId, entityId, periods: { [period]: data } }];
+  }
+
+  // Sets the quote where it is kept, inverting the value for quotes kept the other way round.
+  // Without a rateType the whole quote is replaced; with one only that rate type changes.
+  applyExchangeRate(config, { from, to, period, value, rateType }) {
+    const periods = period ? [period] : Object.keys(config.exchangeRates);
+    config.exchangeRates = { ...config.exchangeRates };
+    for (const p of periods) {
+      const rates = { ...config.exchangeRates[p] };
+      const inverse = rates[`${from}/${to}`] === undefined && rates[`${to}/${from}`] !== undefined;
+      const pair = inverse ? `${to}/${from}` : `${from}/${to}`;
+      const rate = inverse ? 1 / value : value;
+      if (!rateType) {
+        rates[pair] = rate;
+      } else {
+        const quote = rates[pair];
+        rates[pair] = typeof quote === 'object'
+          ? { ...quote, [rateType]: rate }
+          : { average: quote ?? rate, [rateType]: rate };
+      }
+      config.exchangeRates[p] = rates;
+    }
+  }
+
+  findRoute(config, from, to) {
+    const route = config.transferRoutes.find(r => r.from === from && r.to === to);
+    if (!route) {
+      throw new Error(`Scenario references unknown transfer route ${from} -> ${to}`);
+    }
+    return route;
+  }
+
+  applyRouteMarkup(config, { from, to, markupValue, markupType }) {
+    const route = this.findRoute(config, from, to);
+    config.transferRoutes = config.transferRoutes.map(r => r === route
+      ? { ...r, markupValue, ...(markupType && { markupType }) }
+      : r);
+  }
+
+  applyAddRoute(config, { route }) {
+    if (config.transferRoutes.some(r => r.from === route.from && r.to === route.to)) {
+      throw new Error(`Scenario adds transfer route ${route.from} -> ${route.to}, which already exists`);
+    }
+    config.transferRoutes = [...config.transferRoutes, route];
+  }
+
+  applyRemoveRoute(config, { from, to }) {
+    const route = this.findRoute(config, from, to);
+    config.transferRoutes = config.transferRoutes.filter(r => r !== route);
+  }
+
+  // Parameters are validated against the handler schema when the scenario engine is built
+  applyRuleParameter(config, { ruleId, parameter, value }) {
+    if (!config.allocationRules.some(r => r.id === ruleId)) {
+      throw new Error(`Scenario references unknown rule ${ruleId}`);
+    }
+    config.allocationRules = config.allocationRules.map(r => r.id === ruleId ? { ...r, [parameter]: value } : r);
+  }
+
+  applyBomComponent(config, { productId, itemId, quantity, scrapRate }) {
+    const product = config.billOfMaterials.find(p => p.productId === productId);
+    if (!product?.components.some(c => c.itemId === itemId)) {
+      throw new Error(`Scenario references unknown BOM component ${itemId} of ${productId}`);
+    }
+    const components = product.components.map(c => c.itemId === itemId
+      ? { ...c, ...(quantity !== undefined && { quantity }), ...(scrapRate !== undefined && { scrapRate }) }
+      : c);
+    config.billOfMaterials = config.billOfMaterials.map(p => p === product ? { ...p, components } : p);
+  }
+
+  applyProductionVolume(config, { entityId, productId, period, value }) {
+    const volumes = config.productionVolumes[period] || {};
+    config.productionVolumes = {
+      ...config.productionVolumes,
+      [period]: { ...volumes, [entityId]: { ...volumes[entityId], [productId]: value } }
+    };
+  }
+
+  applyCostPool(config, { poolId, period, amount, currency }) {
+    const pool = config.costPools[poolId];
+    if (!pool) {
+      throw new Error(`Scenario references unknown cost pool ${poolId}`);
+    }
+    const data = {
+      amount,
+      currency: currency || pool.periods[period]?.currency || Object.values(pool.periods)[0]?.currency
+    };
+    config.costPools = { ...config.costPools, [poolId]: { ...pool, periods: { ...pool.periods, [period]: data } } };
+  }
+}
+
+// ============================================================================
+// SCENARIO COMPARATOR
+// ============================================================================
+
+// Compares scenario results against a baseline result (both from calculate() or whatIf()).
+// Each product/entity gets a row with the total and per cost element deltas, absolute and
+// relative to the baseline, and flags when its source entity or transfer path changed.
+const SCENARIO_SORT_KEYS = ['impact', 'delta', 'percent', 'product'];
+
+class ScenarioComparator {
+  constructor(options = {}) {
+    this.sortBy = options.sortBy || 'impact';
+    if (!SCENARIO_SORT_KEYS.includes(this.sortBy)) {
+      throw new Error(`Unknown sort key "${this.sortBy}"; expected one of ${SCENARIO_SORT_KEYS.join(', ')}`);
+    }
+    this.tolerance = options.tolerance ?? 1e-9; // smaller deltas count as unchanged
+    this.includeUnchanged = options.includeUnchanged || false;
+  }
+
+  compare(baseline, scenarios) {
+    const report = {
+      period: baseline.metadata.period,
+      currency: baseline.metadata.targetCurrency,
+      sortBy: this.sortBy,
+      scenarios: {}
+    };
+
+    for (const [name, scenario] of Object.entries(scenarios)) {
+      if (scenario.error) {
+        report.scenarios[name] = { error: scenario.error, rows: [] };
+        continue;
+      }
+      if (scenario.metadata.targetCurrency !== report.currency || scenario.metadata.period !== report.period) {
+        throw new Error(`Scenario "${name}" is for ${scenario.metadata.period} in ${scenario.metadata.targetCurrency}; ` +
+          `baseline is ${report.period} in ${report.currency}`);
+      }
+
+      const rows = this.compareCosts(baseline.costs, scenario.costs)
+        .filter(row => this.includeUnchanged || row.status !== 'unchanged');
+      report.scenarios[name] = {
+        changes: scenario.metadata.scenario?.changes,
+        rows: this.sortRows(rows),
+        totalImpact: rows.reduce((sum, row) => sum + Math.abs(row.delta), 0),
+        sourceChanges: rows.filter(row => row.sourceChanged).length,
+        pathChanges: rows.filter(row => row.pathChanged).length,
+        taxImpact: this.compareTax(baseline.entityProfit, scenario.entityProfit)
+      };
+    }
+    return report;
+  }
+
+  compareCosts(baselineCosts, scenarioCosts) {
+    const rows = [];
+    const productIds = new Set([...Object.keys(baselineCosts), ...Object.keys(scenarioCosts)]);
+    for (const productId of productIds) {
+      const entityIds = new Set([
+        ...Object.keys(baselineCosts[productId] || {}),
+        ...Object.keys(scenarioCosts[productId] || {})
+      ]);
+      for (const entityId of entityIds) {
+        rows.push(this.compareEntry(productId, entityId,
+          baselineCosts[productId]?.[entityId], scenarioCosts[productId]?.[entityId]));
+      }
+    }
+    return rows;
+  }
+
+  compareEntry(productId, entityId, before, after) {
+    const baseline = before?.totalCost ?? 0;
+    const scenario = after?.totalCost ?? 0;
+    const row = { productId, entityId, ...this.delta(baseline, scenario) };
+
+    const elements = new Set([
+      ...Object.keys(before?.breakdown || {}),
+      ...Object.keys(after?.breakdown || {})
+    ]);
+    row.elements = Array.from(elements)
+      .filter(element => typeof (before?.breakdown[element] ?? after?.breakdown[element]) === 'number')
+      .map(element => ({
+        element,
+        ...this.delta(before?.breakdown[element] || 0, after?.breakdown[element] || 0)
+      }))
+      .filter(element => Math.abs(element.delta) > this.tolerance)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    const sourceBefore = before?.breakdown.sourceEntity;
+    const sourceAfter = after?.breakdown.sourceEntity;
+    const pathBefore = this.describePath(before);
+    const pathAfter = this.describePath(after);
+    row.sourceChanged = Boolean(before && after) && sourceBefore !== sourceAfter;
+    row.pathChanged = Boolean(before && after) && pathBefore !== pathAfter;
+    if (row.sourceChanged) row.sourceEntity = { baseline: sourceBefore ?? null, scenario: sourceAfter ?? null };
+    if (row.pathChanged) row.transferPath = { baseline: pathBefore, scenario: pathAfter };
+
+    if (!before) row.status = 'added';
+    else if (!after) row.status = 'removed';
+    else if (Math.abs(row.delta) > this.tolerance || row.elements.length > 0 || row.pathChanged) row.status = 'changed';
+    else row.status = 'unchanged';
+    return row;
+  }
+
+  // Group profit and tax, and the tax of each entity, between the two results' entity P&Ls
+  compareTax(before, after) {
+    if (!before || !after) return null;
+    const entityIds = new Set([...Object.keys(before.entities), ...Object.keys(after.entities)]);
+    return {
+      preTaxProfit: this.delta(before.group.preTaxProfit, after.group.preTaxProfit),
+      tax: this.delta(before.group.tax, after.group.tax),
+      effectiveTaxRate: {
+        baseline: before.group.effectiveTaxRate,
+        scenario: after.group.effectiveTaxRate,
+        delta: before.group.effectiveTaxRate === null || after.group.effectiveTaxRate === null
+          ? null
+          : after.group.effectiveTaxRate - before.group.effectiveTaxRate
+      },
+      entities: Array.from(entityIds)
+        .map(entityId => ({ entityId, ...this.delta(before.entities[entityId]?.tax || 0, after.entities[entityId]?.tax || 0) }))
+        .filter(entry => Math.abs(entry.delta) > this.tolerance)
+    };
+  }
+
+  delta(baseline, scenario) {
+    const delta = scenario - baseline;
+    return { baseline, scenario, delta, percent: baseline !== 0 ? delta / baseline : null };
+  }
+
+  describePath(entry) {
+    const path = entry?.breakdown.transferPath;
+    return path ? path.map(step => step.entity).join(' -> ') : null;
+  }
 
-      for (const ruleId of this.executionOrder) {
-        if (executed.has(ruleId)) continue;
+  sortRows(rows, sortBy = this.sortBy) {
+    const compare = {
+      impact: (a, b) => Math.abs(b.delta) - Math.abs(a.delta),
+      delta: (a, b) => b.delta - a.delta,
+      percent: (a, b) => Math.abs(b.percent ?? Infinity) - Math.abs(a.percent ?? Infinity),
+      product: (a, b) => a.productId.localeCompare(b.productId) || a.entityId.localeCompare(b.entityId)
+    }[sortBy];
+    return [...rows].sort((a, b) => compare(a, b) ||
+      a.productId.localeCompare(b.productId) || a.entityId.localeCompare(b.entityId));
+  }
 
-        const rule = this.rules.get(ruleId);
-        const depsReady = (rule.dependencies || []).every(d => executed.has(d));
+  // Plain-text table per scenario: one line per product/entity with its element deltas below it
+  formatTable(report, options = {}) {
+    const limit = options.limit ?? Infinity;
+    const amount = (value) => value.toFixed(2);
+    const percent = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+    const signed = (value, format) => (value > 0 ? '+' : '') + format(value);
+    const lines = [];
+
+    for (const [name, scenario] of Object.entries(report.scenarios)) {
+      lines.push(`Scenario: ${name} (${report.period}, ${report.currency}, sorted by ${report.sortBy})`);
+      if (scenario.error) {
+        lines.push(`  failed: ${scenario.error}`, '');
+        continue;
+      }
 
-        if (depsReady) {
-          group.push(ruleId);
+      const table = [['Product', 'Entity', 'Baseline', 'Scenario', 'Delta', 'Delta %', 'Flags']];
+      for (const row of scenario.rows.slice(0, limit)) {
+        const flags = [
+          row.status === 'added' || row.status === 'removed' ? row.status : null,
+          row.sourceChanged ? `source ${row.sourceEntity.baseline} -> ${row.sourceEntity.scenario}` : null,
+          row.pathChanged && !row.sourceChanged ? 'path changed' : null
+        ].filter(Boolean).join('; ');
+        table.push([row.productId, row.entityId, amount(row.baseline), amount(row.scenario),
+          signed(row.delta, amount), signed(row.percent, percent), flags]);
+        for (const element of row.elements) {
+          table.push(['', `  ${element.element}`, amount(element.baseline), amount(element.scenario),
+            signed(element.delta, amount), signed(element.percent, percent), '']);
         }
       }
 
-      if (group.length === 0) break;
+      const widths = table[0].map((_, i) => Math.max(...table.map(cells => cells[i].length)));
+      const numeric = [false, false, true, true, true, true, false];
+      const format = (cells) => cells
+        .map((cell, i) => numeric[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))
+        .join('  ')
+        .trimEnd();
+      lines.push(format(table[0]), widths.map(width => '-'.repeat(width)).join('  '));
+      lines.push(...table.slice(1).map(format));
+      if (scenario.rows.length > limit) lines.push(`... ${scenario.rows.length - limit} more`);
+      if (scenario.taxImpact) {
+        const { tax, effectiveTaxRate } = scenario.taxImpact;
+        lines.push(`Group tax: ${amount(tax.baseline)} -> ${amount(tax.scenario)} (${signed(tax.delta, amount)}); ` +
+          `effective rate ${percent(effectiveTaxRate.baseline)} -> ${percent(effectiveTaxRate.scenario)}`);
+      }
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+}
 
-      for (const ruleId of group) {
-        executed.add(ruleId);
+// ============================================================================
+// SENSITIVITY ANALYZER
+// ============================================================================
+
+// Enumerates the perturbable inputs of a configuration for one period and ranks their effect
+// on product/entity costs. Each input scales by (1 - p) and (1 + p); its elasticity is the
+// central-difference ratio of the relative cost change to the relative input change.
+const SENSITIVITY_INPUTS = ['materialPrice', 'laborRate', 'fxRate', 'scrapRate', 'markup', 'burdenRate'];
+
+class SensitivityAnalyzer {
+  constructor(config) {
+    this.config = config;
+    const laborItems = config.billOfMaterials
+      .flatMap(product => product.components)
+      .filter(component => component.unit === 'hours')
+      .map(component => component.itemId);
+    this.laborItems = new Set(laborItems);
+  }
+
+  // Inputs as { id, kind, label, baseValue, changes(factor), value(factor) }; changes are
+  // ScenarioBuilder changes and value the input value they apply. A zero input cannot be scaled:
+  // with includeZero it is listed as { ..., baseValue: 0, zeroBase: true } without changes.
+  getInputs(period, kinds = SENSITIVITY_INPUTS, includeZero = false) {
+    for (const kind of kinds) {
+      if (!SENSITIVITY_INPUTS.includes(kind)) {
+        throw new Error(`Unknown sensitivity input "${kind}"; expected one of ${SENSITIVITY_INPUTS.join(', ')}`);
       }
-      groups.push(group);
+    }
+    const inputs = [];
+    const add = (kind, id, label, baseValue, changes, value = (factor) => baseValue * factor) => {
+      if (!kinds.includes(kind)) return;
+      if (baseValue) {
+        inputs.push({ id: `${kind}:${id}`, kind, label, baseValue, changes, value });
+      } else if (includeZero) {
+        inputs.push({ id: `${kind}:${id}`, kind, label, baseValue: 0, zeroBase: true });
+      }
+    };
+
+    for (const entry of this.config.periodCosts) {
+      const data = entry.periods[period];
+      if (!data) continue;
+      const kind = this.laborItems.has(entry.itemId) ? 'laborRate' : 'materialPrice';
+      add(kind, `${entry.itemId}@${entry.entityId}`,
+        `${entry.itemId} ${kind === 'laborRate' ? 'rate' : 'price'} at ${entry.entityId}`, data.unit,
+        (factor) => [{ type: 'cost', itemId: entry.itemId, entityId: entry.entityId, period,
+          value: data.unit * factor, currency: data.currency }]);
     }
 
-    return groups;
+    for (const [pair, quote] of Object.entries(this.config.exchangeRates[period] || {})) {
+      const [from, to] = pair.split('/');
+      const rateTypes = typeof quote === 'object' ? Object.keys(quote) : [null];
+      // Every rate type of a quote moves by the same factor; its value is reported per rate type
+      add('fxRate', pair, `${pair} rate`, typeof quote === 'object' ? quote.average : quote,
+        (factor) => rateTypes.map(rateType => ({
+          type: 'exchangeRate', from, to, period,
+          value: (rateType ? quote[rateType] : quote) * factor,
+          ...(rateType && { rateType })
+        })),
+        (factor) => typeof quote === 'object'
+          ? Object.fromEntries(rateTypes.map(rateType => [rateType, quote[rateType] * factor]))
+          : quote * factor);
+    }
+
+    for (const product of this.config.billOfMaterials) {
+      for (const component of product.components) {
+        add('scrapRate', `${component.itemId}@${product.productId}`,
+          `${component.itemId} scrap in ${product.productId}`, component.scrapRate,
+          (factor) => [{ type: 'bomComponent', productId: product.productId, itemId: component.itemId,
+            scrapRate: component.scrapRate * factor }]);
+      }
+    }
+
+    for (const route of this.config.transferRoutes) {
+      add('markup', `${route.from}->${route.to}`, `${route.from} -> ${route.to} ${route.markupType}`,
+        route.markupValue,
+        (factor) => [{ type: 'routeMarkup', from: route.from, to: route.to, markupValue: route.markupValue * factor }]);
+    }
+
+    for (const rule of this.config.allocationRules.filter(r => r.type === 'labor-burden')) {
+      add('burdenRate', rule.id, `${rule.name || rule.id} burden rate`, rule.burdenRate,
+        (factor) => [{
+          type: 'ruleParameter', ruleId: rule.id, parameter: 'burdenRate', value: rule.burdenRate * factor
+        }]);
+    }
+
+    return inputs;
+  }
+
+  // Drivers per target, largest elasticity first. outcomes: [{ input, low, high }] of results.
+  rank(baseline, outcomes, targets, perturbation, includeZero = false) {
+    const ranking = {};
+    for (const { productId, entityId } of targets) {
+      const base = baseline.costs[productId]?.[entityId];
+      if (!base) continue;
+
+      const drivers = outcomes.map(({ input, low, high }) => {
+        if (input.zeroBase) {
+          return {
+            input: input.id,
+            kind: input.kind,
+            label: input.label,
+            baseValue: 0,
+            zeroBase: true,
+            low: null,
+            high: null,
+            swing: 0,
+            elasticity: null
+          };
+        }
+        const lowCost = low.costs[productId]?.[entityId]?.totalCost ?? null;
+        const highCost = high.costs[productId]?.[entityId]?.totalCost ?? null;
+        const swing = lowCost === null || highCost === null ? null : highCost - lowCost;
+        return {
+          input: input.id,
+          kind: input.kind,
+          label: input.label,
+          baseValue: input.baseValue,
+          low: { value: input.value(1 - perturbation), totalCost: lowCost },
+          high: { value: input.value(1 + perturbation), totalCost: highCost },
+          swing,
+          elasticity: swing === null || base.totalCost === 0 ? null : swing / base.totalCost / (2 * perturbation)
+        };
+      })
+        .filter(driver => includeZero || (driver.swing !== null && Math.abs(driver.swing) > 1e-9))
+        .sort((a, b) => Math.abs(b.elasticity ?? 0) - Math.abs(a.elasticity ?? 0) ||
+          Math.abs(b.swing ?? 0) - Math.abs(a.swing ?? 0));
+
+      if (!ranking[productId]) ranking[productId] = {};
+      ranking[productId][entityId] = { totalCost: base.totalCost, drivers };
+    }
+    return ranking;
+  }
+}
+
+// ============================================================================
+// MONTE CARLO SIMULATOR
+// ============================================================================
+
+const DISTRIBUTIONS = ['normal', 'triangular', 'uniform', 'empirical'];
+
+// Seedable uniform [0, 1) generator (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  };
+}
+
+// Draws uncertain inputs for one period as scenario changes and summarizes the simulated costs.
+// An uncertainty names an input and its distribution:
+//   { type: 'cost', itemId, entityId, distribution }
+//   { type: 'exchangeRate', from, to, distribution }
+//   { type: 'productionVolume', entityId, productId, distribution }
+// Distributions: { type: 'normal', mean, stdDev } (stdDev may be given relative as cv),
+// { type: 'triangular', min, mode, max }, { type: 'uniform', min, max } and
+// { type: 'empirical', periods } sampling the input's values in other periods (default: all).
+// Omitted mean/mode default to the period's value; draws are floored at zero.
+class MonteCarloSimulator {
+  constructor(config, period, uncertainties = []) {
+    this.config = config;
+    this.period = period;
+    this.inputs = uncertainties.map(uncertainty => this.resolveInput(uncertainty));
+  }
+
+  resolveInput(uncertainty) {
+    const { type, distribution = {} } = uncertainty;
+    if (!DISTRIBUTIONS.includes(distribution.type)) {
+      throw new Error(`Unknown distribution "${distribution.type}"; expected one of ${DISTRIBUTIONS.join(', ')}`);
+    }
+
+    let id;
+    let history; // period -> value
+    if (type === 'cost') {
+      id = `cost:${uncertainty.itemId}@${uncertainty.entityId}`;
+      const entry = this.config.periodCosts
+        .find(c => c.itemId === uncertainty.itemId && c.entityId === uncertainty.entityId);
+      history = Object.fromEntries(Object.entries(entry?.periods || {}).map(([p, data]) => [p, data.unit]));
+    } else if (type === 'exchangeRate') {
+      id = `exchangeRate:${uncertainty.from}/${uncertainty.to}`;
+      const pair = `${uncertainty.from}/${uncertainty.to}`;
+      history = {};
+      for (const [p, rates] of Object.entries(this.config.exchangeRates)) {
+        const quote = rates[pair];
+        if (quote !== undefined) history[p] = typeof quote === 'object' ? quote.average : quote;
+      }
+    } else if (type === 'productionVolume') {
+      id = `productionVolume:${uncertainty.productId}@${uncertainty.entityId}`;
+      history = {};
+      for (const [p, volumes] of Object.entries(this.config.productionVolumes)) {
+        const volume = volumes[uncertainty.entityId]?.[uncertainty.productId];
+        if (volume !== undefined) history[p] = volume;
+      }
+    } else {
+      throw new Error(`Unknown uncertain input type "${type}"`);
+    }
+
+    const baseValue = history[this.period];
+    if (baseValue === undefined) {
+      throw new Error(`No ${this.period} value for uncertain input ${id}`);
+    }
+    const samples = Object.entries(history)
+      .filter(([p]) => distribution.periods ? distribution.periods.includes(p) : p !== this.period)
+      .map(([, value]) => value);
+    if (distribution.type === 'empirical' && samples.length === 0) {
+      throw new Error(`No period history to sample for uncertain input ${id}`);
+    }
+    this.checkDistribution(distribution, id, baseValue);
+    return { ...uncertainty, id, baseValue, samples };
+  }
+
+  // Parameters that would draw NaN or outside the stated range are rejected; a distribution
+  // collapsed to one point (min === max, stdDev 0) always draws that value
+  checkDistribution(d, id, baseValue) {
+    const invalid = (message) => new Error(`Invalid ${d.type} distribution for uncertain input ${id}: ${message}`);
+    const number = (name, value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid(`${name} must be a finite number, got ${value}`);
+    };
+    switch (d.type) {
+      case 'normal': {
+        number('mean', d.mean ?? baseValue);
+        const spread = d.stdDev !== undefined ? 'stdDev' : 'cv';
+        if (d[spread] !== undefined) number(spread, d[spread]);
+        if (d[spread] < 0) throw invalid(`${spread} must not be negative, got ${d[spread]}`);
+        break;
+      }
+      case 'triangular': {
+        const mode = d.mode ?? baseValue;
+        number('min', d.min);
+        number('mode', mode);
+        number('max', d.max);
+        if (!(d.min <= mode && mode <= d.max)) throw invalid(`needs min <= mode <= max, got ${d.min}, ${mode}, ${d.max}`);
+        break;
+      }
+      case 'uniform':
+        number('min', d.min);
+        number('max', d.max);
+        if (d.max < d.min) throw invalid(`max ${d.max} is below min ${d.min}`);
+        break;
+    }
+  }
+
+  draw(input, random) {
+    const d = input.distribution;
+    let value;
+    switch (d.type) {
+      case 'normal': {
+        const mean = d.mean ?? input.baseValue;
+        const stdDev = d.stdDev ?? (d.cv || 0) * mean;
+        // Box-Muller
+        const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        value = mean + z * stdDev;
+        break;
+      }
+      case 'triangular': {
+        const mode = d.mode ?? input.baseValue;
+        const u = random();
+        if (d.max === d.min) {
+          value = d.min;
+          break;
+        }
+        const split = (mode - d.min) / (d.max - d.min);
+        value = u < split
+          ? d.min + Math.sqrt(u * (d.max - d.min) * (mode - d.min))
+          : d.max - Math.sqrt((1 - u) * (d.max - d.min) * (d.max - mode));
+        break;
+      }
+      case 'uniform':
+        value = d.min + random() * (d.max - d.min);
+        break;
+      case 'empirical':
+        value = input.samples[Math.floor(random() * input.samples.length)];
+        break;
+    }
+    return Math.max(value, 0);
+  }
+
+  // One run's draws as { values: { inputId: value }, changes } for ScenarioBuilder
+  sample(random) {
+    const values = {};
+    const changes = [];
+    for (const input of this.inputs) {
+      const value = this.draw(input, random);
+      values[input.id] = value;
+      changes.push(...this.toChanges(input, value));
+    }
+    return { values, changes };
+  }
+
+  toChanges(input, value) {
+    const period = this.period;
+    switch (input.type) {
+      case 'cost':
+        return [{ type: 'cost', itemId: input.itemId, entityId: input.entityId, period, value }];
+      case 'exchangeRate': {
+        // Quotes with several rate types move together with the average
+        const quote = this.config.exchangeRates[period][`${input.from}/${input.to}`];
+        if (typeof quote !== 'object') return [{ type: 'exchangeRate', from: input.from, to: input.to, period, value }];
+        return Object.entries(quote).map(([rateType, rate]) => ({
+          type: 'exchangeRate', from: input.from, to: input.to, period, rateType, value: rate * value / input.baseValue
+        }));
+      }
+      case 'productionVolume':
+        return [{ type: 'productionVolume', entityId: input.entityId, productId: input.productId, period, value }];
+    }
+    return [];
+  }
+
+  // Percentile bands of each product/entity's total cost over the runs; at distribution
+  // entities the total cost is the landed cost
+  summarize(baseline, runs, percentiles, entityManager) {
+    const costs = {};
+    for (const [productId, entityCosts] of Object.entries(baseline.costs)) {
+      costs[productId] = {};
+      for (const [entityId, cost] of Object.entries(entityCosts)) {
+        const values = runs
+          .map(run => run.costs[productId]?.[entityId]?.totalCost)
+          .filter(value => value !== undefined);
+        const landed = entityManager.getEntity(entityId)?.type === 'distribution';
+        costs[productId][entityId] = {
+          measure: landed ? 'landedCost' : 'totalCost',
+          baseline: cost.totalCost,
+          ...this.describe(values, percentiles)
+        };
+      }
+    }
+    return costs;
+  }
+
+  describe(values, percentiles) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+    const variance = n > 1 ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1) : 0;
+    const stats = { runs: n, mean, stdDev: Math.sqrt(variance), min: sorted[0], max: sorted[n - 1] };
+    for (const p of percentiles) {
+      // Linear interpolation between closest ranks
+      const rank = p * (n - 1);
+      const lower = Math.floor(rank);
+      const upper = Math.min(lower + 1, n - 1);
+      stats[`p${Math.round(p * 100)}`] = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+    return stats;
   }
 }
 
@@ -578,23 +3611,77 @@ class RuleEngine {
 // COST CALCULATOR (MAIN ENGINE)
 // ============================================================================
 
+const DEFAULT_PERIOD = '2024-Q4';
+const UNCLASSIFIED_ITEM_TYPE = 'finished-good'; // routing type of products without an item master entry
+const BREAKDOWN_QUANTITIES = ['demand', 'unmetDemand']; // unit counts in a breakdown, not amounts
+
 class CostCalculator {
+  // Validates the datasets without building an engine; returns { valid, errors, warnings }
+  static validate(config) {
+    return new ConfigValidator(config).validate();
+  }
+
+  // Deltas of scenario results against a baseline result; see ScenarioComparator
+  static compareScenarios(baseline, scenarios, options = {}) {
+    return new ScenarioComparator(options).compare(baseline, scenarios);
+  }
+
+  static formatComparison(report, options = {}) {
+    return new ScenarioComparator({ sortBy: report.sortBy }).formatTable(report, options);
+  }
+
   constructor(config) {
+    this.config = config;
     this.auditTrail = new AuditTrail();
     this.costState = new CostState();
 
     this.bomProcessor = new BOMProcessor(config.billOfMaterials, this.auditTrail);
-    this.currencyConverter = new CurrencyConverter(config.exchangeRates);
+    this.itemMaster = new ItemMaster(config.itemMaster);
+    this.rounding = new RoundingPolicy(config.rounding);
+    this.calendar = new PeriodCalendar(config.fiscalCalendar);
+    this.currencyConverter = new CurrencyConverter(config.exchangeRates,
+      { ...config.exchangeRateOptions, calendar: this.calendar });
     this.entityManager = new EntityManager(config.entities, config.transferRoutes);
-    this.ruleEngine = new RuleEngine(config.allocationRules, this.auditTrail);
+    this.ruleEngine = new RuleEngine(config.allocationRules, this.auditTrail, config.ruleHandlers);
+    this.chargeSolver = new ChargeSolver(config.chargeSolver);
+    this.consolidationEngine = new ConsolidationEngine(this.entityManager);
+    this.pathSelector = new PathSelector(config.pathSelection, config.pathPolicies);
+    this.complianceTester = config.benchmarks ? new ComplianceTester(config.benchmarks, config.compliance) : null;
+    this.inventoryCostingEngine = new InventoryCostingEngine(
+      config,
+      this.ruleEngine.getRulesByType('weighted-average'),
+      this.itemMaster,
+      this.currencyConverter,
+      (productId, entityId, period) => this.getProductVolume(productId, entityId, period)
+    );
+    this.dutyEngine = new DutyEngine(
+      config,
+      this.ruleEngine.getRulesByType('conditional')
+        .filter(rule => rule.appliesTo?.transferType === 'cross-border'),
+      this.currencyConverter
+    );
 
     this.periodCosts = this.indexPeriodCosts(config.periodCosts);
+    this.missingDataResolver = new MissingDataResolver(
+      config.missingDataPolicies,
+      (itemId, entityId, period) => this.getItemCost(itemId, entityId, period),
+      this.entityManager,
+      this.currencyConverter
+    );
     this.productionVolumes = config.productionVolumes;
+    this.capacities = config.capacities || null;
+    this.demand = config.demand || null;
     this.costPools = config.costPools;
     this.standardCosts = config.standardCosts;
     this.transferRoutes = config.transferRoutes;
+    this.resalePrices = this.indexResalePrices(config.resalePrices || []);
 
+    this.poolAllocations = new Map(); // ruleId:period:currency -> allocation table
+    this.chargeSolutions = new Map(); // cost key -> { period, charges, cycles } of the record's charges
+    this.entityCharges = new Map(); // period -> { charges, cycles } of entity-level charges
+    this.periodRuns = new Map(); // period -> { productIds, targetCurrency, reportingCurrency, warnings }
     this.warnings = [];
+    this.warningRecords = new WeakMap(); // warning -> cost key it was raised for
   }
 
   indexPeriodCosts(periodCosts) {
@@ -608,65 +3695,151 @@ class CostCalculator {
     return index;
   }
 
+  // Period-keyed series for one item at one entity, e.g. to aggregate monthly rates
+  getSeries(index, prefix) {
+    const series = {};
+    for (const [key, data] of index) {
+      if (key.startsWith(prefix)) series[key.slice(prefix.length)] = data;
+    }
+    return series;
+  }
+
+  // Unit price for a period, averaged from the periods that overlap it when the data is
+  // kept at another granularity (in the currency of the first overlapping period)
+  aggregatePrice(series, period, valueKey) {
+    const periods = Object.keys(series);
+    if (periods.length === 0) return undefined;
+    const currency = series[periods[0]].currency;
+    const values = {};
+    for (const p of periods) {
+      values[p] = this.currencyConverter.convert(series[p][valueKey], series[p].currency, currency, period);
+    }
+    const value = this.calendar.aggregateRate(values, period);
+    if (value === undefined) return undefined;
+    const sourcePeriods = this.calendar.getOverlaps(periods, period).map(o => o.period);
+    return { [valueKey]: value, currency, sourcePeriods };
+  }
+
   getItemCost(itemId, entityId, period) {
     const key = `${itemId}:${entityId}:${period}`;
-    return this.periodCosts.get(key);
+    return this.periodCosts.get(key)
+      || this.aggregatePrice(this.getSeries(this.periodCosts, `${itemId}:${entityId}:`), period, 'unit');
+  }
+
+  // Period cost with the dataset's missing data policy applied; every fallback or drop is
+  // reported as a warning
+  resolveItemCost(itemId, entityId, period, productId, dataset) {
+    const dependentKey = this.costState.getCostKey(productId, entityId, period);
+    const dependOn = (sourceEntity, sourcePeriod) =>
+      this.costState.addDependency(this.costState.getCostKey(itemId, sourceEntity, sourcePeriod), dependentKey);
+
+    const cost = this.getItemCost(itemId, entityId, period);
+    if (cost) {
+      // Prices aggregated from another granularity depend on each source period
+      for (const sourcePeriod of cost.sourcePeriods || []) dependOn(entityId, sourcePeriod);
+      return cost;
+    }
+
+    const resolution = this.missingDataResolver.resolve(itemId, entityId, period, dataset);
+    const { cost: resolved, ...detail } = resolution;
+    if (resolved) {
+      if (detail.sourceEntity) dependOn(detail.sourceEntity, period);
+      for (const sourcePeriod of detail.sourcePeriods || []) dependOn(entityId, sourcePeriod);
+      const source = detail.sourceEntity ? `${detail.sourceEntity} cost` : `cost from ${detail.sourcePeriods.join(' and ')}`;
+      this.addWarning({
+        type: 'MISSING_DATA_FALLBACK',
+        productId,
+        entityId,
+        period,
+        itemId,
+        dataset,
+        ...detail,
+        message: `No ${dataset} cost for ${itemId} at ${entityId} in ${period}; ${detail.policy} used ${source}`
+      });
+    } else {
+      this.addWarning({
+        type: 'MISSING_DATA_DROPPED',
+        productId,
+        entityId,
+        period,
+        itemId,
+        dataset,
+        ...detail,
+        message: `No ${dataset} cost for ${itemId} at ${entityId} in ${period}; component dropped` +
+          (detail.reason ? ` (${detail.policy}: ${detail.reason})` : '')
+      });
+    }
+    return resolved;
+  }
+
+  indexResalePrices(resalePrices) {
+    const index = new Map(); // productId:entityId:period -> third-party resale price
+    for (const entry of resalePrices) {
+      for (const [period, data] of Object.entries(entry.periods)) {
+        index.set(`${entry.productId}:${entry.entityId}:${period}`, data);
+      }
+    }
+    return index;
+  }
+
+  getResalePrice(productId, entityId, period) {
+    return this.resalePrices.get(`${productId}:${entityId}:${period}`)
+      || this.aggregatePrice(this.getSeries(this.resalePrices, `${productId}:${entityId}:`), period, 'price');
+  }
+
+  // Warnings are attributed to the cost record being calculated (by default the one named
+  // by the warning) so incremental recalculation can replace them
+  addWarning(warning, recordKey = null) {
+    const key = recordKey || (warning.productId && warning.entityId &&
+      this.costState.getCostKey(warning.productId, warning.entityId, warning.period));
+    if (key) this.warningRecords.set(warning, key);
+    this.warnings.push(warning);
+    this.auditTrail.log('WARNING', warning);
   }
 
   // Main calculation entry point
   calculate(options = {}) {
     const {
-      period = '2024-Q4',
+      period = DEFAULT_PERIOD,
       targetCurrency = 'USD',
       targetEntity = null,
-      products = null
+      products = null,
+      reportingCurrency = null
     } = options;
 
     this.auditTrail.log('CALCULATION_STARTED', { period, targetCurrency, targetEntity });
-
-    const results = {
-      costs: {},
-      ruleExecutionOrder: this.ruleEngine.getExecutionOrder(),
-      parallelGroups: this.ruleEngine.getParallelGroups(),
-      warnings: [],
-      metadata: {
-        period,
-        targetCurrency,
-        calculatedAt: new Date().toISOString()
-      }
-    };
+    this.warnings = [];
+    this.clearPoolAllocations(period);
+    this.costState.unfinalizePeriod(period);
 
     // Get products to calculate
     const productIds = products || this.bomProcessor.getAllProducts();
-    const explosionOrder = this.bomProcessor.getExplosionOrder()
-      .filter(p => productIds.includes(p));
+    this.periodRuns.set(period, { productIds, targetCurrency, reportingCurrency, warnings: this.warnings });
 
     // Phase 1: Calculate base costs for all products (leaf to root)
     this.auditTrail.log('PHASE_1_START', { phase: 'Base Cost Calculation' });
-    for (const productId of explosionOrder) {
-      for (const entity of this.entityManager.getManufacturingEntities()) {
-        this.calculateBaseCost(productId, entity.id, period, targetCurrency);
-      }
-    }
+    const mfgEntityIds = this.entityManager.getManufacturingEntities().map(entity => entity.id);
+    this.calculateBaseCosts(productIds, period, targetCurrency, () => mfgEntityIds);
 
     // Phase 2: Execute allocation rules in dependency order
     this.auditTrail.log('PHASE_2_START', { phase: 'Rule Execution' });
     for (const ruleId of this.ruleEngine.getExecutionOrder()) {
       this.executeRule(ruleId, productIds, period, targetCurrency);
     }
+    // Service charges between entities are solved per period, outside any product's cost
+    this.calculateEntityCharges(period, targetCurrency);
 
     // Phase 3: Calculate transfer pricing to distribution entities
     this.auditTrail.log('PHASE_3_START', { phase: 'Transfer Pricing' });
+    const distEntityIds = this.entityManager.getDistributionEntities().map(entity => entity.id);
     for (const productId of productIds) {
-      for (const distEntity of this.entityManager.getDistributionEntities()) {
-        this.calculateTransferPrice(productId, distEntity.id, period, targetCurrency);
-      }
+      this.calculateTransferPrices(productId, distEntityIds, period, targetCurrency);
     }
 
-    // Phase 4: Calculate weighted averages with lookback
-    this.auditTrail.log('PHASE_4_START', { phase: 'Weighted Average' });
+    // Phase 4: Value inventory with each product/entity's costing method
+    this.auditTrail.log('PHASE_4_START', { phase: 'Inventory Costing' });
     for (const productId of productIds) {
-      this.calculateWeightedAverage(productId, period, targetCurrency);
+      this.calculateInventoryCost(productId, period, targetCurrency);
     }
 
     // Phase 5: Calculate variances
@@ -675,6 +3848,31 @@ class CostCalculator {
       this.calculateVariance(productId, period, targetCurrency);
     }
 
+    const results = this.compileResults(productIds, period, targetCurrency, reportingCurrency);
+    this.auditTrail.log('CALCULATION_COMPLETED', { productCount: productIds.length });
+
+    return results;
+  }
+
+  // Phase 6 and result compilation, shared by full and incremental calculation; finalizes the period
+  compileResults(productIds, period, targetCurrency, reportingCurrency) {
+    const results = {
+      costs: {},
+      ruleExecutionOrder: this.ruleEngine.getExecutionOrder(),
+      parallelGroups: this.ruleEngine.getParallelGroups(),
+      warnings: [],
+      metadata: {
+        period,
+        targetCurrency,
+        reportingCurrency: reportingCurrency || targetCurrency,
+        calculatedAt: new Date().toISOString()
+      }
+    };
+
+    // Phase 6: Consolidate to group level, eliminating intercompany profit
+    this.auditTrail.log('PHASE_6_START', { phase: 'Consolidation' });
+    const consolidation = this.consolidationEngine.consolidate(this.costState, productIds, period);
+
     // Compile results
     for (const productId of productIds) {
       results.costs[productId] = {};
@@ -686,103 +3884,169 @@ class CostCalculator {
             breakdown: { ...cost },
             totalCost: cost.totalCost || 0,
             weightedAverageCost: cost.weightedAverageCost,
+            inventoryCost: cost.inventoryCost,
             standardCostVariance: cost.variance,
+            groupCost: consolidation.costs[productId]?.[entity.id]?.groupCost,
             currency: targetCurrency,
             contributions: this.auditTrail.getContributions(productId, entity.id)
           };
           delete results.costs[productId][entity.id].breakdown._key;
           delete results.costs[productId][entity.id].breakdown.totalCost;
           delete results.costs[productId][entity.id].breakdown.weightedAverageCost;
+          delete results.costs[productId][entity.id].breakdown.inventoryCost;
           delete results.costs[productId][entity.id].breakdown.variance;
+
+          if (this.rounding.appliesAt('reporting')) {
+            this.roundForReporting(results.costs[productId][entity.id], targetCurrency);
+          }
+
+          if (reportingCurrency && reportingCurrency !== targetCurrency) {
+            results.costs[productId][entity.id].reporting =
+              this.translateForReporting(results.costs[productId][entity.id], targetCurrency, reportingCurrency, period);
+          }
         }
       }
     }
 
+    results.consolidation = consolidation;
+    results.allocations = Array.from(this.poolAllocations.values()).filter(a => a.period === period);
+    results.intercompanyCharges = this.getChargeReport(productIds, period);
+
+    // Phase 7: Test realized markups and rates against arm's-length benchmarks
+    results.compliance = null;
+    if (this.complianceTester) {
+      this.auditTrail.log('PHASE_7_START', { phase: "Arm's-Length Compliance" });
+      results.compliance = this.checkCompliance(productIds, period, targetCurrency);
+    }
+    results.entityProfit = this.calculateEntityProfit(productIds, period, targetCurrency,
+      results.compliance?.trueUps);
     results.warnings = this.warnings;
     results.auditTrail = this.auditTrail.getFullTrail();
 
-    this.auditTrail.log('CALCULATION_COMPLETED', { productCount: productIds.length });
-
+    this.costState.finalizePeriod(period, targetCurrency);
     return results;
   }
 
+  clearPoolAllocations(period) {
+    for (const [cacheKey, allocation] of this.poolAllocations) {
+      if (allocation.period === period) this.poolAllocations.delete(cacheKey);
+    }
+  }
+
+  // Multi-period entry point: calculates each period in chronological order so that
+  // lookbacks (weighted averages, allocation drivers) read finalized prior results
+  calculateRange(options = {}) {
+    const { from, to, ...periodOptions } = options;
+    if (!from || !to) {
+      throw new Error('calculateRange requires both from and to periods');
+    }
+
+    const periods = this.currencyConverter.getPeriodRange(from, to);
+    const byPeriod = {};
+    const series = {};
+
+    for (const period of periods) {
+      const result = this.calculate({ ...periodOptions, period });
+      byPeriod[period] = result;
+
+      for (const [productId, entityCosts] of Object.entries(result.costs)) {
+        if (!series[productId]) series[productId] = {};
+        for (const [entityId, cost] of Object.entries(entityCosts)) {
+          if (!series[productId][entityId]) series[productId][entityId] = [];
+          series[productId][entityId].push({
+            period,
+            totalCost: cost.totalCost,
+            weightedAverageCost: cost.weightedAverageCost,
+            groupCost: cost.groupCost,
+            standardCostVariance: cost.standardCostVariance
+          });
+        }
+      }
+    }
+
+    return {
+      periods,
+      targetCurrency: periodOptions.targetCurrency || 'USD',
+      series,
+      byPeriod,
+      warnings: periods.flatMap(period => byPeriod[period].warnings)
+    };
+  }
+
   calculateBaseCost(productId, entityId, period, targetCurrency) {
     const product = this.bomProcessor.getProduct(productId);
     if (!product) return null;
 
-    const entity = this.entityManager.getEntity(entityId);
-    let directMaterialCost = 0;
-    let directLaborCost = 0;
+    // Parent depends on each component and input price it reads
+    const key = this.costState.getCostKey(productId, entityId, period);
+    this.costState.clearDependencies(key);
+    this.chargeSolutions.delete(key);
+    const dependOn = (itemId) => this.costState.addDependency(this.costState.getCostKey(itemId, entityId, period), key);
+
+    let directMaterial = Money.zero(targetCurrency);
+    let directLabor = Money.zero(targetCurrency);
     const componentCosts = [];
+    // Each BOM line in target currency, rounded when rounding per component
+    const lineCost = (unitCost, currency, quantity, scrapMultiplier) => this.roundToMoney(
+      this.currencyConverter.convertMoney(Money.of(unitCost).times(quantity).times(scrapMultiplier),
+        currency, targetCurrency, period),
+      targetCurrency, 'component');
 
     if (product.components.length === 0) {
       // Raw material - get direct cost
-      const costData = this.getItemCost(productId, entityId, period);
+      const costData = this.resolveItemCost(productId, entityId, period, productId, 'material');
       if (costData) {
-        directMaterialCost = this.currencyConverter.convert(
-          costData.unit,
-          costData.currency,
-          targetCurrency,
-          period
-        );
+        directMaterial = directMaterial.plus(lineCost(costData.unit, costData.currency, 1, 1));
       }
     } else {
       // Assembly - sum component costs
       for (const component of product.components) {
         const isLabor = component.unit === 'hours';
-        const scrapMultiplier = 1 / (1 - (component.scrapRate || 0));
+        const scrapMultiplier = Money.of(1).dividedBy(Money.of(1).minus(component.scrapRate || 0));
 
+        if (component.itemId !== productId) dependOn(component.itemId);
         if (isLabor) {
-          const laborRate = this.getItemCost(component.itemId, entityId, period);
+          const laborRate = this.resolveItemCost(component.itemId, entityId, period, productId, 'labor');
           if (laborRate) {
-            const laborCost = this.currencyConverter.convert(
-              laborRate.unit * component.quantity * scrapMultiplier,
-              laborRate.currency,
-              targetCurrency,
-              period
-            );
-            directLaborCost += laborCost;
+            const laborCost = lineCost(laborRate.unit, laborRate.currency, component.quantity, scrapMultiplier);
+            directLabor = directLabor.plus(laborCost);
             componentCosts.push({
               itemId: component.itemId,
               type: 'labor',
               quantity: component.quantity,
-              scrapMultiplier,
-              cost: laborCost
+              scrapMultiplier: scrapMultiplier.toNumber(),
+              cost: laborCost.toNumber()
             });
           }
         } else {
           // Get component's total cost (recursive)
           const componentCost = this.costState.getCost(component.itemId, entityId, period);
           if (componentCost) {
-            const totalComponentCost = (componentCost.totalCost || componentCost.directMaterial || 0)
-              * component.quantity * scrapMultiplier;
-            directMaterialCost += totalComponentCost;
+            // Components roll up at their direct cost, before their own rules are applied
+            const unitCost = Money.of(componentCost.directMaterial).plus(componentCost.directLabor);
+            const totalComponentCost = lineCost(unitCost, targetCurrency, component.quantity, scrapMultiplier);
+            directMaterial = directMaterial.plus(totalComponentCost);
             componentCosts.push({
               itemId: component.itemId,
               type: 'material',
               quantity: component.quantity,
-              scrapMultiplier,
-              unitCost: componentCost.totalCost || componentCost.directMaterial || 0,
-              cost: totalComponentCost
+              scrapMultiplier: scrapMultiplier.toNumber(),
+              unitCost: unitCost.toNumber(),
+              cost: totalComponentCost.toNumber()
             });
           } else {
             // Raw material without sub-components
-            const rawCost = this.getItemCost(component.itemId, entityId, period);
+            const rawCost = this.resolveItemCost(component.itemId, entityId, period, productId, 'material');
             if (rawCost) {
-              const materialCost = this.currencyConverter.convert(
-                rawCost.unit * component.quantity * scrapMultiplier,
-                rawCost.currency,
-                targetCurrency,
-                period
-              );
-              directMaterialCost += materialCost;
+              const materialCost = lineCost(rawCost.unit, rawCost.currency, component.quantity, scrapMultiplier);
+              directMaterial = directMaterial.plus(materialCost);
               componentCosts.push({
                 itemId: component.itemId,
                 type: 'raw-material',
                 quantity: component.quantity,
-                scrapMultiplier,
+                scrapMultiplier: scrapMultiplier.toNumber(),
                 unitCost: rawCost.unit,
-                cost: materialCost
+                cost: materialCost.toNumber()
               });
             }
           }
@@ -790,9 +4054,13 @@ class CostCalculator {
       }
     }
 
+    // Base cost elements are the output of the sum-components rule
+    const directMaterialCost = this.roundToMoney(directMaterial, targetCurrency, 'rule');
+    const directLaborCost = this.roundToMoney(directLabor, targetCurrency, 'rule');
+    const baseCost = directMaterialCost.plus(directLaborCost).toNumber();
     const breakdown = {
-      directMaterial: directMaterialCost,
-      directLabor: directLaborCost,
+      directMaterial: directMaterialCost.toNumber(),
+      directLabor: directLaborCost.toNumber(),
       scrapAdjustment: 0,
       laborBurden: 0,
       factoryOverhead: 0,
@@ -801,254 +4069,795 @@ class CostCalculator {
       managementFee: 0,
       interCompanyMarkup: 0,
       customsDuties: 0,
-      totalCost: directMaterialCost + directLaborCost,
+      totalCost: baseCost,
       componentBreakdown: componentCosts
     };
 
     this.costState.setCost(productId, entityId, period, breakdown);
-    this.auditTrail.recordContribution(productId, entityId, 'BASE', directMaterialCost + directLaborCost,
-      `Direct costs: material=${directMaterialCost.toFixed(2)}, labor=${directLaborCost.toFixed(2)}`);
+    this.auditTrail.recordContribution(productId, entityId, 'BASE', baseCost,
+      `Direct costs: material=${breakdown.directMaterial.toFixed(2)}, labor=${breakdown.directLabor.toFixed(2)}`);
+
+    return breakdown;
+  }
+
+  // Base costs of every product, leaf to root, whichever products were requested: assemblies
+  // roll up their sub-assemblies and pool allocation bases span the whole product range.
+  // Records of products outside the request are marked baseOnly; no later phase runs on them,
+  // and inventory lookbacks do not read them.
+  calculateBaseCosts(productIds, period, targetCurrency, entityIdsFor) {
+    for (const productId of this.bomProcessor.getExplosionOrder()) {
+      for (const entityId of entityIdsFor(productId)) {
+        if (!this.calculateBaseCost(productId, entityId, period, targetCurrency)) continue;
+        if (!productIds.includes(productId)) this.costState.getCost(productId, entityId, period).baseOnly = true;
+      }
+    }
+  }
+
+  executeRule(ruleId, productIds, period, targetCurrency) {
+    const rule = this.ruleEngine.getRule(ruleId);
+    if (!rule) return;
+
+    this.auditTrail.log('RULE_EXECUTION_START', { ruleId, ruleName: rule.name });
+
+    for (const productId of productIds) {
+      for (const entity of this.entityManager.getManufacturingEntities()) {
+        this.applyRule(rule, productId, entity.id, period, targetCurrency);
+      }
+    }
+  }
+
+  applyRule(rule, productId, entityId, period, targetCurrency) {
+    const cost = this.costState.getCost(productId, entityId, period);
+    if (!cost) return;
+
+    const scope = this.getRuleScope(productId, entityId);
+    const check = this.ruleEngine.checkAppliesTo(rule, scope);
+    if (!check.applies) {
+      this.auditTrail.log('RULE_SKIPPED', { ruleId: rule.id, productId, entityId, period, reason: check.reason });
+      // Not a scoping decision: the rule cannot tell whether it applies
+      if (check.missingItem) {
+        this.addWarning({
+          type: 'MISSING_ITEM_MASTER',
+          productId,
+          entityId,
+          period,
+          ruleId: rule.id,
+          message: `Rule ${rule.id} filters on item attributes but ${productId} has no item master entry; rule skipped`
+        });
+      }
+      return;
+    }
+
+    // The record depends on the rule output, and the output on the rules it builds on and on
+    // anything outside the record the handler reads (ctx.dependOn). Inputs from the record
+    // itself need no edge: its rules are replayed whenever the record is recalculated.
+    const ruleKey = this.costState.getRuleKey(rule.id, productId, entityId, period);
+    const dependOn = (sourceKey) => this.costState.addDependency(sourceKey, ruleKey);
+    this.costState.clearDependencies(ruleKey);
+    this.costState.addDependency(ruleKey, this.costState.getCostKey(productId, entityId, period));
+    for (const dependencyId of rule.dependencies || []) {
+      dependOn(this.costState.getRuleKey(dependencyId, productId, entityId, period));
+    }
+
+    const handler = this.ruleEngine.getHandler(rule.type);
+    const result = handler.apply({
+      rule,
+      cost,
+      productId,
+      entityId,
+      period,
+      targetCurrency,
+      engine: this,
+      record: (amount, description) =>
+        this.auditTrail.recordContribution(productId, entityId, rule.id, amount, description),
+      dependOn
+    });
+
+    let ruleOutput = Money.zero(targetCurrency);
+    if (typeof result === 'number') {
+      const amount = this.roundToMoney(result, targetCurrency, 'rule');
+      ruleOutput = ruleOutput.plus(amount);
+      if (handler.outputs.length > 0) {
+        this.addToCostElement(cost, handler.outputs[0], amount);
+      }
+    } else if (result) {
+      for (const [element, value] of Object.entries(result)) {
+        if (!handler.outputs.includes(element)) {
+          throw new Error(`Rule handler "${handler.type}" returned undeclared output "${element}" for ${rule.id}`);
+        }
+        const amount = this.roundToMoney(value, targetCurrency, 'rule');
+        this.addToCostElement(cost, element, amount);
+        ruleOutput = ruleOutput.plus(amount);
+      }
+    }
+
+    this.costState.setRuleOutput(rule.id, productId, entityId, period, ruleOutput.toNumber());
+    this.costState.setCost(productId, entityId, period, cost);
+  }
+
+  getRuleScope(productId, entityId, transferType = null) {
+    const product = this.bomProcessor.getProduct(productId);
+    const item = this.itemMaster.getItem(productId);
+    return {
+      productId,
+      // Costing method can be overridden per entity
+      item: item && { ...item, costingMethod: this.inventoryCostingEngine.getMethod(productId, entityId).method },
+      componentTypes: (product?.components || [])
+        .map(c => this.itemMaster.getItemType(c.itemId))
+        .filter(Boolean),
+      entity: this.entityManager.getEntity(entityId),
+      transferType
+    };
+  }
+
+  // A base rule contributes its declared output cost elements, or else the output it recorded.
+  // Rules that did not apply to this product/entity contribute nothing.
+  getRuleBaseAmount(ruleId, cost, productId, entityId, period) {
+    const rule = this.ruleEngine.getRule(ruleId);
+    const output = this.costState.getRuleOutput(ruleId, productId, entityId, period);
+    if (output === undefined) return 0;
+    if (rule.outputElements) {
+      return rule.outputElements.reduce((sum, element) => sum.plus(cost[element] || 0), Money.zero()).toNumber();
+    }
+    return output;
+  }
+
+  // Amount as a number, rounded to the currency's minor units if the rounding policy
+  // rounds at `point` ('component', 'rule' or 'reporting')
+  roundMoney(amount, currency, point) {
+    return this.rounding.apply(amount, currency, point);
+  }
+
+  // Same, kept as Money for amounts that are summed further
+  roundToMoney(amount, currency, point) {
+    return this.rounding.applyMoney(amount, currency, point);
+  }
+
+  addToCostElement(cost, element, amount) {
+    const money = Money.of(amount || 0);
+    if (money.isZero()) return;
+    cost[element] = money.plus(cost[element] || 0).toNumber();
+    cost.totalCost = money.plus(cost.totalCost).toNumber();
+  }
+
+  // Royalties and management fees levied on a product/entity record, each a share of the
+  // record's cost as a revenue proxy: the cost before charges plus every other charge on the
+  // record, but not the charge itself. Charges that include each other form a cycle, solved
+  // together at the first charge rule and cached until the record's base cost is recalculated.
+  getRecordCharges(productId, entityId, period, targetCurrency, cost) {
+    const key = this.costState.getCostKey(productId, entityId, period);
+    if (this.chargeSolutions.has(key)) return this.chargeSolutions.get(key).charges;
+
+    const scope = this.getRuleScope(productId, entityId);
+    const lines = [];
+    for (const rule of this.ruleEngine.getRulesByType('transfer-price')) {
+      if (rule.transferType === 'goods' || !this.ruleEngine.checkAppliesTo(rule, scope).applies) continue;
+      for (const route of this.transferRoutes) {
+        if (route.to !== entityId || route.markupType !== 'revenue-percent' ||
+            !route.itemTypes.includes(rule.transferType)) continue;
+        lines.push({
+          id: `${rule.id}:${route.from}`,
+          ruleId: rule.id,
+          transferType: rule.transferType,
+          fromEntity: route.from,
+          rate: route.markupValue,
+          fixed: cost.totalCost
+        });
+      }
+    }
+    for (const line of lines) {
+      line.dependsOn = lines.filter(other => other !== line).map(other => other.id);
+    }
+
+    const { amounts, cycles } = this.solveCharges(lines, { productId, entityId, period }, key);
+    const charges = lines.map(line => ({
+      ruleId: line.ruleId,
+      transferType: line.transferType,
+      fromEntity: line.fromEntity,
+      rate: line.rate,
+      base: line.dependsOn.reduce((sum, id) => sum.plus(amounts[id]), Money.of(line.fixed)).toNumber(),
+      amount: this.roundMoney(amounts[line.id], targetCurrency, 'rule')
+    }));
+
+    cost.intercompanyCharges = charges;
+    this.chargeSolutions.set(key, { period, charges, cycles });
+    return charges;
+  }
+
+  // Solves charge lines with the configured ChargeSolver. Lines of a cycle that does not
+  // converge fall back to their rate on the base before charges, with a warning.
+  solveCharges(lines, context, recordKey = null) {
+    const { amounts, cycles } = this.chargeSolver.solve(lines);
+    const reported = cycles.map(cycle => ({ ...context, ...cycle }));
+
+    for (const cycle of reported.filter(c => !c.converged)) {
+      for (const line of lines.filter(l => cycle.lines.includes(l.id))) {
+        amounts[line.id] = line.rate * line.fixed;
+      }
+      this.addWarning({
+        type: 'CHARGE_CYCLE_NOT_CONVERGED',
+        productId: context.productId || null,
+        entityId: context.entityId || null,
+        period: context.period,
+        lines: cycle.lines,
+        message: `Intercompany charges ${cycle.lines.join(', ')} did not converge (${cycle.method}, ` +
+          `${cycle.iterations} iterations, residual ${cycle.residual}); charged on the base before charges`
+      }, recordKey);
+    }
+    return { amounts, cycles: reported };
+  }
 
-    return breakdown;
+  // Routes carrying only services (royalties, management fees, R&D services), not goods
+  getChargeRoutes() {
+    return this.transferRoutes.filter(route => route.itemTypes.length > 0 &&
+      route.itemTypes.every(type => SERVICE_ITEM_TYPES.includes(type)));
   }
 
-  executeRule(ruleId, productIds, period, targetCurrency) {
-    const rule = this.ruleEngine.getRule(ruleId);
-    if (!rule) return;
+  // Period-level charges between entities that are not levied per product by transfer-price
+  // rules, e.g. contract R&D billed at cost-plus. A cost-plus charge marks up the provider's
+  // cost, a revenue-percent charge takes a share of the payer's; either entity's cost is its
+  // cost pools in the period plus the entity-level charges it pays, so charges can form cycles.
+  // These lines are solved apart from the per-product charges of getRecordCharges: an entity's
+  // cost leaves out the product charges it pays, so no cycle through both kinds is detected.
+  // A cost bearer that pays product charges is warned about (CHARGE_BASE_EXCLUDES_PRODUCT_CHARGES).
+  calculateEntityCharges(period, targetCurrency) {
+    const mfgEntities = new Set(this.entityManager.getManufacturingEntities().map(e => e.id));
+    const isProductCharge = (route) => route.markupType === 'revenue-percent' && mfgEntities.has(route.to);
+    const productChargePayers = new Set(this.getChargeRoutes().filter(isProductCharge).map(route => route.to));
+    const routes = this.getChargeRoutes().filter(route =>
+      (route.markupType === 'cost-plus' || route.markupType === 'revenue-percent') && !isProductCharge(route));
+
+    const lines = routes.map(route => {
+      const costBearer = route.markupType === 'cost-plus' ? route.from : route.to;
+      return {
+        id: `${route.from}->${route.to}:${route.itemTypes.join('+')}`,
+        route,
+        costBearer,
+        rate: route.markupType === 'cost-plus' ? 1 + route.markupValue : route.markupValue,
+        fixed: this.getEntityPoolCost(costBearer, period, targetCurrency)
+      };
+    });
+    for (const line of lines) {
+      line.dependsOn = lines.filter(other => other !== line && other.route.to === line.costBearer).map(other => other.id);
+      if (productChargePayers.has(line.costBearer)) {
+        this.addWarning({
+          type: 'CHARGE_BASE_EXCLUDES_PRODUCT_CHARGES',
+          entityId: line.costBearer,
+          period,
+          line: line.id,
+          message: `Charge ${line.id} is based on ${line.costBearer}'s cost pools, which leave out the ` +
+            `royalties and fees ${line.costBearer} pays per product; cycles through those charges are not solved`
+        });
+      }
+    }
 
-    this.auditTrail.log('RULE_EXECUTION_START', { ruleId, ruleName: rule.name });
+    const { amounts, cycles } = this.solveCharges(lines, { period });
+    const charges = lines.map(line => ({
+      id: line.id,
+      fromEntity: line.route.from,
+      toEntity: line.route.to,
+      itemTypes: line.route.itemTypes,
+      markupType: line.route.markupType,
+      markupValue: line.route.markupValue,
+      base: line.dependsOn.reduce((sum, id) => sum.plus(amounts[id]), Money.of(line.fixed)).toNumber(),
+      amount: this.roundMoney(amounts[line.id], targetCurrency, 'rule'),
+      currency: targetCurrency
+    }));
+
+    this.entityCharges.set(period, { charges, cycles });
+    return charges;
+  }
+
+  // An entity's own period costs: the cost pools it carries, in target currency
+  getEntityPoolCost(entityId, period, targetCurrency) {
+    let total = Money.zero(targetCurrency);
+    for (const [poolId, pool] of Object.entries(this.costPools || {})) {
+      if (pool.entityId !== entityId) continue;
+      const amount = this.getPoolAmount(poolId, period);
+      if (amount) total = total.plus(this.currencyConverter.convert(amount.amount, amount.currency, targetCurrency, period));
+    }
+    return total.toNumber();
+  }
 
+  // Intercompany charges of a period: entity-level charges and every charge cycle solved,
+  // per product/entity record or between entities, with its convergence diagnostics
+  getChargeReport(productIds, period) {
+    const entityLevel = this.entityCharges.get(period) || { charges: [], cycles: [] };
+    const recordCycles = [];
     for (const productId of productIds) {
       for (const entity of this.entityManager.getManufacturingEntities()) {
-        this.applyRule(rule, productId, entity.id, period, targetCurrency);
+        const solution = this.chargeSolutions.get(this.costState.getCostKey(productId, entity.id, period));
+        if (solution) recordCycles.push(...solution.cycles);
       }
     }
+    return {
+      method: this.chargeSolver.method,
+      entityCharges: entityLevel.charges,
+      cycles: [...recordCycles, ...entityLevel.cycles]
+    };
   }
 
-  applyRule(rule, productId, entityId, period, targetCurrency) {
-    const cost = this.costState.getCost(productId, entityId, period);
-    if (!cost) return;
+  // Phase 3 for one product. Destinations with demand in the period share the capacity of
+  // the manufacturing entities, so they are always supplied together (see allocateSupply).
+  calculateTransferPrices(productId, destEntityIds, period, targetCurrency) {
+    const demandDestinations = this.entityManager.getDistributionEntities()
+      .map(entity => entity.id)
+      .filter(entityId => this.getDemand(productId, entityId, period) > 0);
+    const destinations = destEntityIds.some(entityId => demandDestinations.includes(entityId))
+      ? [...new Set([...destEntityIds, ...demandDestinations])]
+      : destEntityIds;
+
+    const selections = new Map();
+    for (const destEntityId of destinations) {
+      const selection = this.selectTransferPath(productId, destEntityId, period, targetCurrency);
+      if (selection) selections.set(destEntityId, selection);
+    }
+    const allocation = this.allocateSupply(productId, period,
+      demandDestinations.filter(entityId => selections.has(entityId)).map(entityId => [entityId, selections.get(entityId)]));
+
+    for (const [destEntityId, selection] of selections) {
+      const supply = allocation.get(destEntityId);
+      if (supply && supply.lines.length > 0) {
+        this.recordBlendedTransferCost(productId, destEntityId, period, targetCurrency, selection, supply);
+      } else if (selection.chosen) {
+        this.recordTransferCost(productId, destEntityId, period, selection);
+      }
+    }
+  }
 
-    const entity = this.entityManager.getEntity(entityId);
-    let ruleOutput = 0;
+  // Prices every candidate path to a destination and ranks them with the path selection
+  // policy; null for entities that are not distribution entities
+  selectTransferPath(productId, destEntityId, period, targetCurrency) {
+    const destEntity = this.entityManager.getEntity(destEntityId);
+    if (!destEntity || destEntity.type !== 'distribution') return null;
+
+    // The destination depends on every source it could be supplied from
+    const destKey = this.costState.getCostKey(productId, destEntityId, period);
+    this.costState.clearDependencies(destKey);
+    this.costState.removeCost(productId, destEntityId, period);
+
+    // Goods only move over routes that carry the product's classification; an unclassified
+    // product is routed as a finished good, the goods distribution entities receive
+    const itemType = this.itemMaster.getItemType(productId) || UNCLASSIFIED_ITEM_TYPE;
+    if (!this.itemMaster.getItemType(productId)) {
+      this.addWarning({
+        type: 'UNCLASSIFIED_ITEM',
+        productId,
+        entityId: destEntityId,
+        period,
+        message: `${productId} has no item classification; routed to ${destEntityId} as ${itemType}`
+      });
+    }
+    const candidates = [];
+    let eligiblePaths = 0;
 
-    switch (rule.type) {
-      case 'sum-components':
-        // Already handled in base cost calculation
-        ruleOutput = cost.directMaterial + cost.directLabor;
-        break;
+    for (const mfgEntity of this.entityManager.getManufacturingEntities()) {
+      const paths = this.entityManager.findTransferPaths(mfgEntity.id, destEntityId, itemType);
+      eligiblePaths += paths.length;
 
-      case 'multiply':
-        // Scrap adjustment is already factored into component quantities
-        // This rule would apply additional adjustments if needed
-        break;
+      if (paths.length > 0) {
+        this.costState.addDependency(this.costState.getCostKey(productId, mfgEntity.id, period), destKey);
+      }
 
-      case 'labor-burden':
-        if (cost.directLabor > 0) {
-          const burden = cost.directLabor * rule.burdenRate;
-          cost.laborBurden = burden;
-          cost.totalCost += burden;
-          ruleOutput = burden;
-          this.auditTrail.recordContribution(productId, entityId, rule.id, burden,
-            `Labor burden: ${cost.directLabor.toFixed(2)} * ${rule.burdenRate} = ${burden.toFixed(2)}`);
-        }
-        break;
+      const sourceCost = this.costState.getCost(productId, mfgEntity.id, period);
+      if (!sourceCost) continue;
+      for (const path of paths) {
+        candidates.push(this.priceTransferPath(productId, mfgEntity, path, sourceCost, period, targetCurrency, destKey));
+      }
+    }
 
-      case 'percentage-of-base':
-        const baseAmount = (rule.baseRules || []).reduce((sum, baseRuleId) => {
-          if (baseRuleId === 'RULE-002') return sum + cost.directMaterial + cost.scrapAdjustment;
-          if (baseRuleId === 'RULE-003') return sum + cost.directLabor + cost.laborBurden;
-          return sum;
-        }, 0);
-        const overhead = baseAmount * rule.percentage;
-        cost.factoryOverhead = overhead;
-        cost.totalCost += overhead;
-        ruleOutput = overhead;
-        this.auditTrail.recordContribution(productId, entityId, rule.id, overhead,
-          `Factory overhead: ${baseAmount.toFixed(2)} * ${rule.percentage} = ${overhead.toFixed(2)}`);
-        break;
+    if (eligiblePaths === 0) {
+      this.addWarning({
+        type: 'UNREACHABLE_DESTINATION',
+        productId,
+        entityId: destEntityId,
+        period,
+        itemType,
+        message: `No transfer route carries ${itemType} ${productId} to ${destEntityId}`
+      });
+    }
 
-      case 'per-unit-allocation':
-        const pool = this.costPools[rule.poolId];
-        if (pool) {
-          const totalVolume = this.getTotalProductionVolume(period, rule.lookbackPeriods);
-          const productVolume = this.getProductVolume(productId, entityId, period);
-          if (totalVolume > 0 && productVolume > 0) {
-            const poolAmount = this.currencyConverter.convert(
-              pool.periods[period]?.amount || 0,
-              pool.periods[period]?.currency || 'USD',
-              targetCurrency,
-              period
-            );
-            const allocation = (poolAmount / totalVolume) * (productVolume / productVolume);
-            cost.rndAmortization = allocation;
-            cost.totalCost += allocation;
-            ruleOutput = allocation;
-            this.auditTrail.recordContribution(productId, entityId, rule.id, allocation,
-              `R&D amortization: pool=${poolAmount.toFixed(2)}, volume share`);
-          }
-        }
-        break;
+    const selection = this.pathSelector.select(candidates, { productId, destEntityId, targetCurrency });
+    if (selection.fallback) {
+      this.addWarning({
+        type: 'PATH_POLICY_FALLBACK',
+        productId,
+        entityId: destEntityId,
+        period,
+        policy: selection.policy,
+        message: `Path policy ${selection.policy} selected no path for ${productId} to ${destEntityId} ` +
+          `(${selection.fallback}); using lowest landed cost`
+      }, destKey);
+    }
+    return selection;
+  }
 
-      case 'transfer-price':
-        if (rule.transferType === 'royalty') {
-          const royaltyRoutes = this.transferRoutes.filter(r =>
-            r.to === entityId && r.itemTypes.includes('royalty'));
-          for (const route of royaltyRoutes) {
-            if (route.markupType === 'revenue-percent') {
-              // Royalty based on cost (proxy for revenue)
-              const royalty = cost.totalCost * route.markupValue;
-              cost.royalty += royalty;
-              cost.totalCost += royalty;
-              ruleOutput += royalty;
-              this.auditTrail.recordContribution(productId, entityId, rule.id, royalty,
-                `IP Royalty from ${route.from}: ${cost.totalCost.toFixed(2)} * ${route.markupValue}`);
-            }
-          }
-        } else if (rule.transferType === 'mgmt-fee') {
-          const mgmtRoutes = this.transferRoutes.filter(r =>
-            r.to === entityId && r.itemTypes.includes('mgmt-fee'));
-          for (const route of mgmtRoutes) {
-            if (route.markupType === 'revenue-percent') {
-              const fee = cost.totalCost * route.markupValue;
-              cost.managementFee += fee;
-              cost.totalCost += fee;
-              ruleOutput += fee;
-              this.auditTrail.recordContribution(productId, entityId, rule.id, fee,
-                `Management fee from ${route.from}: ${route.markupValue * 100}%`);
-            }
-          }
+  // Splits each destination's demand across its candidate paths within the capacity of the
+  // source entities. Each destination takes its paths in policy order. Allocation is greedy by
+  // regret (Vogel): the destination that would lose most by missing its best available path,
+  // in landed cost, is served next, so a destination with a single source is never starved by
+  // one that has alternatives. Returns destination -> { demand, unmet, lines }.
+  allocateSupply(productId, period, destinations) {
+    const allocation = new Map();
+    const remainingCapacity = new Map();
+    const capacityOf = (entityId) => {
+      if (!remainingCapacity.has(entityId)) remainingCapacity.set(entityId, this.getCapacity(productId, entityId, period));
+      return remainingCapacity.get(entityId);
+    };
+
+    const preferences = new Map(destinations.map(([destEntityId, selection]) => [destEntityId, selection.preference]));
+    for (const [destEntityId] of destinations) {
+      const demand = this.getDemand(productId, destEntityId, period);
+      allocation.set(destEntityId, { demand, unmet: demand, lines: [] });
+    }
+
+    for (;;) {
+      let next = null;
+      for (const [destEntityId, supply] of allocation) {
+        if (supply.unmet <= 0) continue;
+        const available = preferences.get(destEntityId).filter(candidate => capacityOf(candidate.sourceEntity) > 0);
+        if (available.length === 0) continue;
+        const regret = available.length > 1 ? available[1].landedCost - available[0].landedCost : Infinity;
+        if (!next || regret > next.regret || (regret === next.regret && available[0].landedCost < next.candidate.landedCost)) {
+          next = { destEntityId, supply, candidate: available[0], regret };
         }
-        break;
+      }
+      if (!next) break;
+
+      const { supply, candidate } = next;
+      const units = Math.min(supply.unmet, capacityOf(candidate.sourceEntity));
+      remainingCapacity.set(candidate.sourceEntity, capacityOf(candidate.sourceEntity) - units);
+      supply.unmet -= units;
+      const line = supply.lines.find(l => l.candidate === candidate);
+      if (line) line.units += units;
+      else supply.lines.push({ candidate, units });
+    }
 
-      case 'conditional':
-        // Customs duties handled in transfer pricing
-        break;
+    for (const [destEntityId, supply] of allocation) {
+      const supplied = supply.demand - supply.unmet;
+      for (const line of supply.lines) line.share = line.units / supplied;
+      if (supply.unmet > 0) {
+        this.addWarning({
+          type: 'SUPPLY_SHORTFALL',
+          productId,
+          entityId: destEntityId,
+          period,
+          demand: supply.demand,
+          unmet: supply.unmet,
+          message: `Capacity covers ${supplied} of ${supply.demand} units of ${productId} demanded by ` +
+            `${destEntityId} in ${period}` + (supplied === 0 ? '; costed on the preferred path' : '')
+        }, this.costState.getCostKey(productId, destEntityId, period));
+      }
+    }
+    return allocation;
+  }
 
-      case 'weighted-average':
-        // Handled in separate phase
-        break;
+  // Units of a product an entity demands (distribution) or can produce (manufacturing) in a
+  // period; entities without a capacity are unconstrained
+  getDemand(productId, entityId, period) {
+    return this.getPeriodQuantities(this.demand, period)?.[entityId]?.[productId] || 0;
+  }
 
-      case 'variance-calculation':
-        // Handled in separate phase
-        break;
+  getCapacity(productId, entityId, period) {
+    return this.getPeriodQuantities(this.capacities, period)?.[entityId]?.[productId] ?? Infinity;
+  }
+
+  // Cost elements of a product delivered over one candidate path
+  getPathCostElements(productId, candidate, period) {
+    const sourceCost = this.costState.getCost(productId, candidate.sourceEntity, period);
+    const totalDuties = candidate.duties.reduce((sum, d) => sum.plus(d.duty), Money.zero()).toNumber();
+    const markup = Money.of(candidate.landedCost).minus(sourceCost.totalCost).minus(totalDuties)
+      .minus(candidate.fxDifference).toNumber();
+    const elements = {
+      directMaterial: sourceCost.directMaterial,
+      directLabor: sourceCost.directLabor,
+      scrapAdjustment: sourceCost.scrapAdjustment,
+      laborBurden: sourceCost.laborBurden,
+      factoryOverhead: sourceCost.factoryOverhead,
+      rndAmortization: sourceCost.rndAmortization,
+      royalty: sourceCost.royalty,
+      managementFee: sourceCost.managementFee,
+      interCompanyMarkup: markup,
+      customsDuties: totalDuties,
+      fxDifference: candidate.fxDifference
+    };
+
+    // Carry through cost elements added by custom rule handlers
+    for (const element of this.ruleEngine.getOutputElements()) {
+      if (!(element in elements)) {
+        elements[element] = sourceCost[element] || 0;
+      }
     }
+    return elements;
+  }
 
-    this.costState.setRuleOutput(rule.id, productId, entityId, period, ruleOutput);
-    this.costState.setCost(productId, entityId, period, cost);
+  getPathSelectionReport(selection) {
+    return {
+      policy: selection.policy,
+      reason: selection.reason,
+      ...(selection.fallback && { fallback: selection.fallback }),
+      candidates: selection.candidates
+    };
   }
 
-  calculateTransferPrice(productId, destEntityId, period, targetCurrency) {
-    const destEntity = this.entityManager.getEntity(destEntityId);
-    if (!destEntity || destEntity.type !== 'distribution') return;
+  recordTransferCost(productId, destEntityId, period, selection) {
+    const chosen = selection.chosen;
+    const elements = this.getPathCostElements(productId, chosen, period);
+    const breakdown = {
+      ...elements,
+      totalCost: chosen.landedCost,
+      sourceEntity: chosen.sourceEntity,
+      transferPath: chosen.pathCosts,
+      dutyAssessments: chosen.duties,
+      pathSelection: this.getPathSelectionReport(selection)
+    };
 
-    // Find best path from manufacturing to distribution
-    let bestCost = Infinity;
-    let bestPath = null;
-    let bestSourceEntity = null;
+    this.costState.setCost(productId, destEntityId, period, breakdown);
+    this.auditTrail.recordContribution(productId, destEntityId, 'TRANSFER', elements.interCompanyMarkup,
+      `Transfer from ${chosen.sourceEntity}: markup=${elements.interCompanyMarkup.toFixed(2)} (${selection.reason})`);
+    this.recordDutyContributions(productId, destEntityId, chosen.duties, 1);
+  }
 
-    for (const mfgEntity of this.entityManager.getManufacturingEntities()) {
-      const paths = this.entityManager.findTransferPaths(mfgEntity.id, destEntityId);
+  // Cost of a destination supplied over several paths: each cost element is the
+  // volume-weighted average over the supply mix. Source entity and transfer path are those
+  // of the largest supplier; supplyMix lists every line.
+  recordBlendedTransferCost(productId, destEntityId, period, targetCurrency, selection, supply) {
+    const lines = supply.lines.map(line => ({ ...line, elements: this.getPathCostElements(productId, line.candidate, period) }));
+    const names = Object.keys(lines[0].elements);
+    const blended = names.map(element =>
+      lines.reduce((sum, line) => sum.plus(Money.of(line.elements[element]).times(line.share)), Money.zero()));
+    const blendedTotal = blended.reduce((sum, amount) => sum.plus(amount), Money.zero());
+    // Rounded elements still add up to the rounded blended landed cost
+    const amounts = this.rounding.appliesAt('rule')
+      ? this.rounding.roundToTotal(blended, blendedTotal, targetCurrency)
+      : blended.map(amount => amount.toNumber());
+    const elements = Object.fromEntries(names.map((element, i) => [element, amounts[i]]));
+    const totalCost = this.roundMoney(blendedTotal, targetCurrency, 'rule');
+    const primary = lines.reduce((largest, line) => line.units > largest.units ? line : largest).candidate;
 
-      for (const path of paths) {
-        const sourceCost = this.costState.getCost(productId, mfgEntity.id, period);
-        if (!sourceCost) continue;
-
-        let transferCost = sourceCost.totalCost;
-        let pathCosts = [{ entity: mfgEntity.id, cost: transferCost }];
-
-        // Apply markups along the path
-        for (let i = 1; i < path.length; i++) {
-          const step = path[i];
-          const route = step.edge;
-
-          if (route.markupType === 'cost-plus') {
-            transferCost *= (1 + route.markupValue);
-          } else if (route.markupType === 'resale-minus') {
-            // Resale minus means the transfer price is (1 - margin) of resale price
-            // Approximate: add markup equivalent
-            transferCost *= (1 + route.markupValue * 0.5);
-          }
+    const breakdown = {
+      ...elements,
+      totalCost,
+      sourceEntity: primary.sourceEntity,
+      transferPath: primary.pathCosts,
+      dutyAssessments: lines.flatMap(line => line.candidate.duties),
+      supplyMix: lines.map(line => ({
+        sourceEntity: line.candidate.sourceEntity,
+        route: line.candidate.route,
+        units: line.units,
+        share: line.share,
+        landedCost: line.candidate.landedCost,
+        transferPath: line.candidate.pathCosts
+      })),
+      demand: supply.demand,
+      unmetDemand: supply.unmet,
+      pathSelection: this.getPathSelectionReport(selection)
+    };
+
+    this.costState.setCost(productId, destEntityId, period, breakdown);
+    const mix = lines.map(line => `${line.candidate.route.join(' -> ')} ${(line.share * 100).toFixed(1)}%`).join(', ');
+    this.auditTrail.recordContribution(productId, destEntityId, 'TRANSFER', elements.interCompanyMarkup,
+      `Blended transfer (${mix}): markup=${elements.interCompanyMarkup.toFixed(2)}`);
+    for (const line of lines) {
+      this.recordDutyContributions(productId, destEntityId, line.candidate.duties, line.share);
+    }
+  }
 
-          // Add customs duties if cross-border
-          const prevEntity = path[i - 1].node;
-          if (this.entityManager.isCrossBorder(prevEntity, step.node)) {
-            const toEntity = this.entityManager.getEntity(step.node);
-            let dutyRate = 0.03; // Default
-            if (toEntity.country === 'US') dutyRate = 0.025;
-            if (toEntity.country === 'DE') dutyRate = 0.04;
+  recordDutyContributions(productId, destEntityId, duties, share) {
+    for (const assessment of duties) {
+      const weighted = share === 1 ? '' : ` at ${(share * 100).toFixed(1)}% of supply`;
+      this.auditTrail.recordContribution(productId, destEntityId, assessment.ruleId, assessment.duty * share,
+        `Customs duty ${assessment.from} -> ${assessment.to}: ${assessment.customsValue.toFixed(2)} * ${assessment.rate} (${assessment.basis}${assessment.tradeAgreement ? ` ${assessment.tradeAgreement}` : ''})${weighted}`);
+    }
+  }
 
-            const duty = transferCost * dutyRate;
-            transferCost += duty;
-          }
+  // Landed cost of one transfer path: markups, FX differences and customs duties hop by hop,
+  // with the margin each seller earns and the income tax on it. A path over a resale-minus
+  // route without a resale price is not priceable.
+  priceTransferPath(productId, mfgEntity, path, sourceCost, period, targetCurrency, destKey) {
+    let transferCost = Money.of(sourceCost.totalCost);
+    const pathCosts = [{ entity: mfgEntity.id, cost: sourceCost.totalCost }];
+    const duties = [];
+    const margins = [];
+    let fxDifference = Money.zero();
+    const candidate = {
+      sourceEntity: mfgEntity.id,
+      route: path.map(step => step.node),
+      borderCrossings: path.filter((step, i) => i > 0 && this.entityManager.isCrossBorder(path[i - 1].node, step.node)).length,
+      priceable: true
+    };
 
-          pathCosts.push({ entity: step.node, cost: transferCost, markup: route.markupValue });
+    // Apply markups along the path
+    for (let i = 1; i < path.length; i++) {
+      const step = path[i];
+      const route = step.edge;
+      const costBeforeHop = transferCost;
+      let resalePrice;
+
+      if (route.markupType === 'cost-plus') {
+        transferCost = transferCost.times(Money.of(1).plus(route.markupValue));
+      } else if (route.markupType === 'resale-minus') {
+        // Transfer price is the buyer's third-party resale price less its distribution margin
+        const resale = this.getResalePrice(productId, step.node, period);
+        if (!resale) {
+          this.addWarning({
+            type: 'MISSING_RESALE_PRICE',
+            productId,
+            entityId: step.node,
+            period,
+            message: `No resale price for ${productId} at ${step.node} in ${period}; ` +
+              `resale-minus route from ${path[i - 1].node} skipped`
+          }, destKey);
+          return { ...candidate, priceable: false, excluded: `no resale price at ${step.node}`, landedCost: null, groupTax: null };
         }
 
-        if (transferCost < bestCost) {
-          bestCost = transferCost;
-          bestPath = pathCosts;
-          bestSourceEntity = mfgEntity.id;
+        resalePrice = this.currencyConverter.convert(resale.price, resale.currency, targetCurrency, period, 'spot');
+        const resaleMinusPrice = Money.of(resalePrice).times(Money.of(1).minus(route.markupValue));
+        if (resaleMinusPrice.minus(transferCost).isNegative()) {
+          this.addWarning({
+            type: 'RESALE_MINUS_BELOW_COST',
+            productId,
+            entityId: step.node,
+            sourceEntity: path[i - 1].node,
+            period,
+            transferPrice: resaleMinusPrice.toNumber(),
+            sourceCost: transferCost.toNumber(),
+            message: `Resale-minus price for ${productId} from ${path[i - 1].node} to ${step.node} ` +
+              `(${resaleMinusPrice.toNumber().toFixed(2)}) is below source cost (${transferCost.toNumber().toFixed(2)})`
+          }, destKey);
         }
+        transferCost = resaleMinusPrice;
+      }
+
+      const prevEntity = path[i - 1].node;
+      const transactionRate = route.markupType === 'cost-plus'
+        ? this.getTransactionRate(prevEntity, targetCurrency, period)
+        : null;
+      // Each hop's invoice price is rounded as a rule output
+      transferCost = this.roundToMoney(transferCost, targetCurrency, 'rule');
+      margins.push({ entityId: prevEntity, margin: transferCost.minus(costBeforeHop).toNumber() });
+      let hopFxDifference = Money.zero();
+      if (transactionRate) {
+        hopFxDifference = this.roundToMoney(
+          transferCost.times(Money.of(transactionRate.factor).minus(1)), targetCurrency, 'rule');
+        transferCost = transferCost.plus(hopFxDifference);
+        fxDifference = fxDifference.plus(hopFxDifference);
       }
+
+      // Add customs duties if cross-border, valued on the transfer price at the border
+      let duty = 0;
+      if (this.entityManager.isCrossBorder(prevEntity, step.node)) {
+        const assessment = this.dutyEngine.assessDuty({
+          productId,
+          originEntity: mfgEntity,
+          fromEntity: this.entityManager.getEntity(prevEntity),
+          toEntity: this.entityManager.getEntity(step.node),
+          customsValue: transferCost.toNumber(),
+          period
+        });
+        duty = this.roundMoney(assessment.duty, targetCurrency, 'rule');
+        assessment.duty = duty;
+        transferCost = transferCost.plus(duty);
+        duties.push(assessment);
+      }
+
+      pathCosts.push({
+        entity: step.node,
+        cost: transferCost.toNumber(),
+        markup: route.markupValue,
+        markupType: route.markupType,
+        ...(resalePrice !== undefined && { resalePrice }),
+        ...(transactionRate && { exchangeRate: transactionRate.rate, fxDifference: hopFxDifference.toNumber() }),
+        duty
+      });
     }
 
-    if (bestPath) {
-      const sourceCost = this.costState.getCost(productId, bestSourceEntity, period);
-      const breakdown = {
-        directMaterial: sourceCost.directMaterial,
-        directLabor: sourceCost.directLabor,
-        scrapAdjustment: sourceCost.scrapAdjustment,
-        laborBurden: sourceCost.laborBurden,
-        factoryOverhead: sourceCost.factoryOverhead,
-        rndAmortization: sourceCost.rndAmortization,
-        royalty: sourceCost.royalty,
-        managementFee: sourceCost.managementFee,
-        interCompanyMarkup: bestCost - sourceCost.totalCost,
-        customsDuties: 0, // Included in markup calculation
-        totalCost: bestCost,
-        sourceEntity: bestSourceEntity,
-        transferPath: bestPath
-      };
+    // The destination's own margin, when it resells to third parties at a known price
+    const destEntityId = candidate.route[candidate.route.length - 1];
+    const resale = this.getResalePrice(productId, destEntityId, period);
+    if (resale) {
+      const resalePrice = this.currencyConverter.convert(resale.price, resale.currency, targetCurrency, period, 'spot');
+      margins.push({ entityId: destEntityId, margin: Money.of(resalePrice).minus(transferCost).toNumber() });
+    }
+    const taxes = margins.map(({ entityId, margin }) => {
+      const rate = this.entityManager.getTaxRate(entityId);
+      return { entityId, margin, rate, tax: Money.of(margin).times(rate).toNumber() };
+    });
+
+    return {
+      ...candidate,
+      landedCost: transferCost.toNumber(),
+      pathCosts,
+      duties,
+      fxDifference: fxDifference.toNumber(),
+      taxes,
+      groupTax: taxes.reduce((sum, t) => sum.plus(t.tax), Money.zero()).toNumber()
+    };
+  }
 
-      this.costState.setCost(productId, destEntityId, period, breakdown);
-      this.auditTrail.recordContribution(productId, destEntityId, 'TRANSFER',
-        bestCost - sourceCost.totalCost,
-        `Transfer from ${bestSourceEntity}: markup=${(bestCost - sourceCost.totalCost).toFixed(2)}`);
+  // Rounds the reported figures of one result entry; the cost elements are rounded together
+  // so they still add up to the rounded total
+  roundForReporting(entry, currency) {
+    const round = (amount) => this.rounding.round(amount, currency);
+    const elements = Object.keys(entry.breakdown)
+      .filter(element => typeof entry.breakdown[element] === 'number' && !BREAKDOWN_QUANTITIES.includes(element));
+    const rounded = this.rounding.roundToTotal(elements.map(element => entry.breakdown[element]), entry.totalCost, currency);
+    elements.forEach((element, i) => { entry.breakdown[element] = rounded[i]; });
+    entry.totalCost = round(entry.totalCost);
+    if (entry.groupCost !== undefined) entry.groupCost = round(entry.groupCost);
+    if (entry.weightedAverageCost !== undefined) entry.weightedAverageCost = round(entry.weightedAverageCost);
+    if (entry.inventoryCost) entry.inventoryCost = { ...entry.inventoryCost, unitCost: round(entry.inventoryCost.unitCost) };
+    if (entry.standardCostVariance) {
+      entry.standardCostVariance = { ...entry.standardCostVariance, amount: round(entry.standardCostVariance.amount) };
     }
   }
 
-  calculateWeightedAverage(productId, period, targetCurrency) {
-    const weights = { current: 0.6, 'prior-1': 0.25, 'prior-2': 0.15 };
-    const priorPeriods = this.currencyConverter.getPriorPeriods(period, 2);
+  // Reported figures are translated at the period's closing rate
+  translateForReporting(cost, targetCurrency, reportingCurrency, period) {
+    const rate = this.currencyConverter.getRate(targetCurrency, reportingCurrency, period, 'closing');
+    const translate = (amount) => this.roundMoney(Money.of(amount).times(rate.rate), reportingCurrency, 'reporting');
+    return {
+      currency: reportingCurrency,
+      totalCost: translate(cost.totalCost),
+      groupCost: cost.groupCost === undefined ? undefined : translate(cost.groupCost),
+      inventoryCost: cost.inventoryCost ? translate(cost.inventoryCost.unitCost) : undefined,
+      exchangeRate: rate
+    };
+  }
+
+  // Transfer prices are set in the seller's currency from its cost at the period average
+  // rate and booked by the buyer at the transaction-date (spot) rate
+  getTransactionRate(sellerEntityId, targetCurrency, period) {
+    const sellerCurrency = this.entityManager.getEntity(sellerEntityId)?.currency || targetCurrency;
+    if (sellerCurrency === targetCurrency) return null;
+
+    const average = this.currencyConverter.getRate(sellerCurrency, targetCurrency, period, 'average');
+    const spot = this.currencyConverter.getRate(sellerCurrency, targetCurrency, period, 'spot');
+    return { factor: Money.of(spot.rate).dividedBy(average.rate).toNumber(), rate: spot };
+  }
 
+  calculateInventoryCost(productId, period, targetCurrency, entityIds = null) {
     for (const entity of this.entityManager.getAllEntities()) {
-      const currentCost = this.costState.getCost(productId, entity.id, period);
-      if (!currentCost) continue;
+      if (entityIds && !entityIds.includes(entity.id)) continue;
 
-      let weightedCost = currentCost.totalCost * weights.current;
-      let totalWeight = weights.current;
+      // Lookback methods depend on the record's prior periods
+      const key = this.costState.getCostKey(productId, entity.id, period);
+      for (const prior of this.inventoryCostingEngine.getLookbackPeriods(productId, entity.id, period)) {
+        this.costState.addDependency(this.costState.getCostKey(productId, entity.id, prior), key);
+      }
 
-      for (let i = 0; i < priorPeriods.length; i++) {
-        const priorCost = this.costState.getCost(productId, entity.id, priorPeriods[i]);
-        const weightKey = `prior-${i + 1}`;
-        if (priorCost && weights[weightKey]) {
-          weightedCost += priorCost.totalCost * weights[weightKey];
-          totalWeight += weights[weightKey];
-        }
+      const valuation = this.inventoryCostingEngine.valueInventory(
+        this.costState, productId, entity.id, period, targetCurrency);
+      if (!valuation) continue;
+
+      if (valuation.fallback) {
+        this.addWarning({
+          type: 'INVENTORY_COSTING_FALLBACK',
+          productId,
+          entityId: entity.id,
+          period,
+          method: valuation.method,
+          message: `${valuation.method} costing unavailable for ${productId} at ${entity.id} ` +
+            `(${valuation.fallback}); valued at current cost`
+        });
       }
 
-      currentCost.weightedAverageCost = weightedCost / totalWeight;
+      const currentCost = this.costState.getCost(productId, entity.id, period);
+      currentCost.inventoryCost = valuation;
+      if (valuation.method === 'weighted-average') {
+        currentCost.weightedAverageCost = valuation.unitCost;
+      }
       this.costState.setCost(productId, entity.id, period, currentCost);
     }
   }
 
-  calculateVariance(productId, period, targetCurrency) {
+  calculateVariance(productId, period, targetCurrency, entityIds = null) {
     const standards = this.standardCosts[productId];
     if (!standards) return;
 
     for (const [entityId, standardCost] of Object.entries(standards)) {
       if (entityId === 'currency') continue;
+      if (entityIds && !entityIds.includes(entityId)) continue;
 
       const actualCost = this.costState.getCost(productId, entityId, period);
       if (!actualCost) continue;
@@ -1060,9 +4869,10 @@ class CostCalculator {
         period
       );
 
+      const difference = Money.of(actualCost.totalCost).minus(standardInTarget);
       const variance = {
-        amount: actualCost.totalCost - standardInTarget,
-        percentage: (actualCost.totalCost - standardInTarget) / standardInTarget,
+        amount: difference.toNumber(),
+        percentage: standardInTarget === 0 ? null : difference.dividedBy(standardInTarget).toNumber(),
         favorable: actualCost.totalCost < standardInTarget
       };
 
@@ -1074,145 +4884,668 @@ class CostCalculator {
     }
   }
 
-  getTotalProductionVolume(period, lookbackPeriods = 1) {
-    let total = 0;
-    const periods = [period, ...this.currencyConverter.getPriorPeriods(period, lookbackPeriods - 1)];
+  // Spread a cost pool over every product/entity the rule applies to, in proportion to the
+  // rule's allocation driver averaged over the lookback window. The per-unit charge is the
+  // line's share of the pool divided by its current-period volume. Lines come from the BOM,
+  // item master and production volumes, not from the products requested.
+  getPoolAllocation(rule, period, targetCurrency) {
+    const cacheKey = `${rule.id}:${period}:${targetCurrency}`;
+    if (this.poolAllocations.has(cacheKey)) {
+      return this.poolAllocations.get(cacheKey);
+    }
 
-    for (const p of periods) {
-      const periodVolumes = this.productionVolumes[p];
-      if (periodVolumes) {
-        for (const entityVolumes of Object.values(periodVolumes)) {
-          for (const volume of Object.values(entityVolumes)) {
-            total += volume;
-          }
+    const poolPeriod = this.getPoolAmount(rule.poolId, period);
+    const poolAmount = poolPeriod
+      ? this.currencyConverter.convert(poolPeriod.amount, poolPeriod.currency, targetCurrency, period)
+      : 0;
+    const allocationBase = rule.allocationBase || 'production-volume';
+    const periods = [period, ...this.currencyConverter.getPriorPeriods(period, (rule.lookbackPeriods || 1) - 1)];
+
+    const lines = [];
+    const sourceKeys = new Set();
+    for (const productId of this.bomProcessor.getAllProducts()) {
+      for (const entity of this.entityManager.getManufacturingEntities()) {
+        if (!this.ruleEngine.checkAppliesTo(rule, this.getRuleScope(productId, entity.id)).applies) continue;
+
+        const values = periods
+          .map(p => this.getAllocationDriver(
+            allocationBase, productId, entity.id, p, period, targetCurrency, sourceKeys))
+          .filter(v => v !== null);
+        const driverValue = values.length > 0
+          ? values.reduce((sum, value) => sum.plus(value), Money.zero()).dividedBy(values.length).toNumber()
+          : 0;
+        if (driverValue > 0) {
+          lines.push({
+            productId,
+            entityId: entity.id,
+            driverValue,
+            volume: this.getProductVolume(productId, entity.id, period)
+          });
         }
       }
     }
 
-    return total / periods.length;
+    const totalDriver = lines.reduce((sum, line) => sum.plus(line.driverValue), Money.zero()).toNumber();
+    let absorbedAmount = Money.zero();
+    let allocatedAmount = Money.zero();
+    for (const line of lines) {
+      const amount = Money.of(poolAmount).times(line.driverValue).dividedBy(totalDriver);
+      const unitCost = line.volume > 0 ? amount.dividedBy(line.volume) : Money.zero();
+      line.share = Money.of(line.driverValue).dividedBy(totalDriver).toNumber();
+      line.amount = amount.toNumber();
+      line.unitCost = unitCost.toNumber();
+      allocatedAmount = allocatedAmount.plus(amount);
+      absorbedAmount = absorbedAmount.plus(unitCost.times(line.volume));
+    }
+    const unabsorbedAmount = Money.of(poolAmount).minus(absorbedAmount);
+    const allocation = {
+      ruleId: rule.id,
+      poolId: rule.poolId,
+      period,
+      allocationBase,
+      lookbackPeriods: periods,
+      poolAmount,
+      totalDriver,
+      allocatedAmount: allocatedAmount.toNumber(),
+      absorbedAmount: absorbedAmount.toNumber(),
+      unabsorbedAmount: unabsorbedAmount.toNumber(),
+      reconciled: Math.abs(unabsorbedAmount.toNumber()) < 0.01,
+      lines,
+      sourceKeys: Array.from(sourceKeys)
+    };
+
+    if (poolAmount > 0 && !allocation.reconciled) {
+      this.addWarning({
+        type: 'POOL_NOT_RECONCILED',
+        ruleId: rule.id,
+        poolId: rule.poolId,
+        period,
+        unabsorbedAmount: allocation.unabsorbedAmount,
+        message: lines.length === 0
+          ? `No ${allocationBase} driver for pool ${rule.poolId} in ${period}; pool not allocated`
+          : `Pool ${rule.poolId} in ${period}: ${allocation.unabsorbedAmount.toFixed(2)} not absorbed ` +
+            `(lines without current-period volume)`
+      });
+    }
+
+    this.poolAllocations.set(cacheKey, allocation);
+    this.auditTrail.log('POOL_ALLOCATED', {
+      ruleId: rule.id,
+      poolId: rule.poolId,
+      period,
+      allocationBase,
+      poolAmount,
+      absorbedAmount: allocation.absorbedAmount,
+      reconciled: allocation.reconciled
+    });
+    return allocation;
+  }
+
+  // Driver quantity for one product/entity in one period, or null when the period has no
+  // production data. Per-unit drivers are scaled by that period's production volume.
+  // Cost records read are added to sourceKeys.
+  getAllocationDriver(allocationBase, productId, entityId, driverPeriod, period, targetCurrency,
+    sourceKeys = new Set()) {
+    if (!this.getProductionVolumes(driverPeriod)) return null;
+    const volume = this.getProductVolume(productId, entityId, driverPeriod);
+    if (volume === 0) return 0;
+
+    switch (allocationBase) {
+      case 'production-volume':
+        return volume;
+
+      case 'labor-hours': {
+        const product = this.bomProcessor.getProduct(productId);
+        const hoursPerUnit = (product?.components || [])
+          .filter(c => c.unit === 'hours')
+          .reduce((sum, c) => sum.plus(Money.of(c.quantity).dividedBy(Money.of(1).minus(c.scrapRate || 0))), Money.zero());
+        return hoursPerUnit.times(volume).toNumber();
+      }
+
+      case 'material-cost': {
+        const cost = this.costState.getFinalizedCost(productId, entityId, driverPeriod, targetCurrency)
+          || this.costState.getCost(productId, entityId, period);
+        if (cost) sourceKeys.add(cost._key);
+        return Money.of(cost?.directMaterial || 0).times(volume).toNumber();
+      }
+
+      case 'revenue': {
+        // Third-party revenue per unit: average resale price across distribution entities
+        const prices = this.entityManager.getDistributionEntities()
+          .map(e => this.getResalePrice(productId, e.id, driverPeriod))
+          .filter(Boolean)
+          .map(p => this.currencyConverter.convert(p.price, p.currency, targetCurrency, driverPeriod));
+        if (prices.length === 0) return 0;
+        return prices.reduce((sum, price) => sum.plus(price), Money.zero()).times(volume).dividedBy(prices.length).toNumber();
+      }
+    }
+    return 0;
   }
 
   getProductVolume(productId, entityId, period) {
-    return this.productionVolumes[period]?.[entityId]?.[productId] || 0;
+    return this.getProductionVolumes(period)?.[entityId]?.[productId] || 0;
+  }
+
+  getProductionVolumes(period) {
+    return this.getPeriodQuantities(this.productionVolumes, period);
+  }
+
+  // Quantities (period -> entity -> product -> units) for a period, spread from or summed over
+  // the periods it overlaps when the data is kept at another granularity; null when no data overlaps
+  getPeriodQuantities(quantities, period) {
+    if (!quantities) return null;
+    if (quantities[period]) return quantities[period];
+    if (!this.calendar.isValid(period)) return null;
+
+    const overlaps = this.calendar.getOverlaps(Object.keys(quantities), period);
+    if (overlaps.length === 0) return null;
+    const volumes = {};
+    for (const overlap of overlaps) {
+      for (const [entityId, products] of Object.entries(quantities[overlap.period])) {
+        if (!volumes[entityId]) volumes[entityId] = {};
+        for (const [productId, volume] of Object.entries(products)) {
+          volumes[entityId][productId] = (volumes[entityId][productId] || 0) + volume * overlap.sourceShare;
+        }
+      }
+    }
+    return volumes;
+  }
+
+  // Pool amount for a period, spread from or summed over overlapping pool periods
+  getPoolAmount(poolId, period) {
+    const periods = this.costPools[poolId]?.periods;
+    if (!periods) return null;
+    if (periods[period]) return periods[period];
+
+    const labels = Object.keys(periods);
+    if (labels.length === 0 || !this.calendar.isValid(period)) return null;
+    const currency = periods[labels[0]].currency;
+    const amounts = {};
+    for (const p of labels) {
+      amounts[p] = this.currencyConverter.convert(periods[p].amount, periods[p].currency, currency, period);
+    }
+    const amount = this.calendar.aggregateAmount(amounts, period);
+    return amount === undefined ? null : { amount, currency };
   }
 
   // ============================================================================
   // BONUS: INCREMENTAL RECALCULATION
   // ============================================================================
 
+  // Changes an input price and marks everything calculated from it dirty. Returns the dirty keys.
   updateCost(itemId, entityId, period, newCost) {
-    // Mark affected costs as dirty
     const key = this.costState.getCostKey(itemId, entityId, period);
     this.costState.markDirty(key);
 
-    // Update the base cost
-    const costData = this.periodCosts.get(`${itemId}:${entityId}:${period}`);
+    // Replace rather than mutate the entry, which is shared with the caller's config. The
+    // engine's config follows, so forks (what-if, sensitivity, simulation) start from the update.
+    const costData = this.periodCosts.get(key);
     if (costData) {
-      costData.unit = newCost;
+      this.periodCosts.set(key, { ...costData, unit: newCost });
+      this.config = new ScenarioBuilder(this.config)
+        .build([{ type: 'cost', itemId, entityId, period, value: newCost, currency: costData.currency }]);
     }
 
-    // Return list of affected items for recalculation
     return this.costState.getDirtyKeys();
   }
 
-  recalculateIncremental(options = {}) {
+  // Recalculates the dirty cost records, period by period in chronological order so lookbacks
+  // read recalculated prior periods. Each period replays the calculation phases for its dirty
+  // records only, with the currency and products of its last calculation.
+  recalculateIncremental() {
     const dirtyKeys = this.costState.getDirtyKeys();
-    if (dirtyKeys.length === 0) return { recalculated: 0 };
+    if (dirtyKeys.length === 0) return { recalculated: 0, keys: [], byPeriod: {} };
 
-    // Extract unique products/entities/periods from dirty keys
-    const toRecalculate = new Set();
+    const recordsByPeriod = new Map();
     for (const key of dirtyKeys) {
-      const [productId, entityId, period] = key.split(':');
-      toRecalculate.add(JSON.stringify({ productId, entityId, period }));
+      const [productId, entityId, period, ...rest] = key.split(':');
+      const run = this.periodRuns.get(period);
+      if (rest.length > 0 || !run || !this.entityManager.getEntity(entityId) ||
+          !(run.productIds.includes(productId) || this.costState.getCost(productId, entityId, period)?.baseOnly)) {
+        continue; // rule outputs, input prices and periods never calculated
+      }
+      if (!this.costState.getCost(productId, entityId, period) && !this.costState.getDependencies(key).length) {
+        continue;
+      }
+      if (!recordsByPeriod.has(period)) recordsByPeriod.set(period, new Set());
+      recordsByPeriod.get(period).add(key);
     }
 
-    // Recalculate only affected items
-    for (const item of toRecalculate) {
-      const { productId, entityId, period } = JSON.parse(item);
-      this.calculateBaseCost(productId, entityId, period, options.targetCurrency || 'USD');
+    const periods = Array.from(recordsByPeriod.keys())
+      .sort((a, b) => this.calendar.parse(a).start - this.calendar.parse(b).start);
+    const byPeriod = {};
+    const recalculatedKeys = [];
+    for (const period of periods) {
+      const records = recordsByPeriod.get(period);
+      byPeriod[period] = this.recalculatePeriod(period, records);
+      recalculatedKeys.push(...records);
     }
 
-    // Re-run rules for affected items
+    this.costState.clearDirty();
+    return { recalculated: recalculatedKeys.length, keys: recalculatedKeys, byPeriod };
+  }
+
+  recalculatePeriod(period, records) {
+    const { productIds, targetCurrency, reportingCurrency, warnings } = this.periodRuns.get(period);
+    const isDirty = (productId, entityId) => records.has(this.costState.getCostKey(productId, entityId, period));
+    const dirtyEntities = (productId, entities) => entities.map(e => e.id).filter(id => isDirty(productId, id));
+    const mfgEntities = this.entityManager.getManufacturingEntities();
+
+    this.auditTrail.log('INCREMENTAL_RECALCULATION_STARTED', { period, records: Array.from(records) });
+    this.costState.unfinalizePeriod(period);
+
+    // Pool shares are recomputed once any manufacturing record changes
+    const poolsStale = this.bomProcessor.getAllProducts().some(productId => dirtyEntities(productId, mfgEntities).length > 0);
+    if (poolsStale) this.clearPoolAllocations(period);
+    this.warnings = warnings.filter(w =>
+      !records.has(this.warningRecords.get(w)) && !(poolsStale && w.type === 'POOL_NOT_RECONCILED'));
+    this.periodRuns.get(period).warnings = this.warnings;
+
+    this.calculateBaseCosts(productIds, period, targetCurrency, (productId) => dirtyEntities(productId, mfgEntities));
     for (const ruleId of this.ruleEngine.getExecutionOrder()) {
-      for (const item of toRecalculate) {
-        const { productId, entityId, period } = JSON.parse(item);
-        const rule = this.ruleEngine.getRule(ruleId);
-        this.applyRule(rule, productId, entityId, period, options.targetCurrency || 'USD');
+      const rule = this.ruleEngine.getRule(ruleId);
+      for (const productId of productIds) {
+        for (const entityId of dirtyEntities(productId, mfgEntities)) {
+          this.applyRule(rule, productId, entityId, period, targetCurrency);
+        }
       }
     }
+    for (const productId of productIds) {
+      const entityIds = dirtyEntities(productId, this.entityManager.getDistributionEntities());
+      if (entityIds.length > 0) this.calculateTransferPrices(productId, entityIds, period, targetCurrency);
+    }
+    for (const productId of productIds) {
+      const entityIds = dirtyEntities(productId, this.entityManager.getAllEntities());
+      this.calculateInventoryCost(productId, period, targetCurrency, entityIds);
+      this.calculateVariance(productId, period, targetCurrency, entityIds);
+    }
 
-    this.costState.clearDirty();
-    return { recalculated: toRecalculate.size };
+    return this.compileResults(productIds, period, targetCurrency, reportingCurrency);
   }
 
   // ============================================================================
-  // BONUS: WHAT-IF ANALYSIS
+  // BONUS: ENTITY PROFIT & TAX
   // ============================================================================
 
-  whatIf(scenarios, options = {}) {
-    const results = {};
+  // Statutory profit and loss per legal entity for a calculated period, in target currency.
+  // Goods flow along each distribution entity's supply mix (or its chosen path); every hop is
+  // an intercompany sale by the seller at its invoice price, and the distribution entity
+  // resells to third parties at its resale price. Royalties and fees follow the units their
+  // payer sells; entity-level charges and cost pools are booked for the period. R&D
+  // amortization is a management allocation of the R&D pool, which is booked once, at the
+  // pool's entity, so it is left out of the manufacturers' cost of sales. Year-end true-ups
+  // ({ fromEntity, toEntity, amount }) are booked by the earning entity against its counterparty.
+  calculateEntityProfit(productIds, period, targetCurrency, trueUps = []) {
+    const entities = {};
+    const assumptions = [];
+    const pnl = (entityId) => {
+      if (!entities[entityId]) {
+        entities[entityId] = {
+          entityId,
+          intercompanyRevenue: 0,
+          thirdPartyRevenue: 0,
+          royaltiesReceived: 0,
+          feesReceived: 0,
+          costOfSales: 0,
+          chargesPaid: 0,
+          operatingCosts: 0,
+          trueUpAdjustments: 0
+        };
+      }
+      return entities[entityId];
+    };
+    const add = (entityId, field, amount) => {
+      const entry = pnl(entityId);
+      entry[field] = Money.of(entry[field]).plus(amount).toNumber();
+    };
 
-    for (const [scenarioName, changes] of Object.entries(scenarios)) {
-      // Clone current state
-      const originalState = this.costState.clone();
-      const originalPeriodCosts = new Map(this.periodCosts);
-
-      // Apply scenario changes
-      for (const change of changes) {
-        if (change.type === 'cost') {
-          const key = `${change.itemId}:${change.entityId}:${change.period}`;
-          this.periodCosts.set(key, { unit: change.value, currency: change.currency || 'USD' });
-        } else if (change.type === 'exchangeRate') {
-          // Would need to modify currencyConverter
+    for (const productId of productIds) {
+      for (const flow of this.getProductFlows(productId, period, assumptions)) {
+        const { units, transferPath, destEntityId } = flow;
+        const source = this.costState.getCost(productId, transferPath[0].entity, period);
+
+        for (let i = 1; i < transferPath.length; i++) {
+          const prev = transferPath[i - 1];
+          const hop = transferPath[i];
+          const invoice = Money.of(hop.cost).minus(hop.duty || 0).minus(hop.fxDifference || 0);
+          const costBasis = i === 1 ? Money.of(source.totalCost).minus(source.rndAmortization || 0) : Money.of(prev.cost);
+          add(prev.entity, 'intercompanyRevenue', invoice.times(units));
+          add(prev.entity, 'costOfSales', costBasis.times(units));
+        }
+
+        const landedCost = transferPath[transferPath.length - 1].cost;
+        const resale = this.getResalePrice(productId, destEntityId, period);
+        const resalePrice = resale
+          ? this.currencyConverter.convert(resale.price, resale.currency, targetCurrency, period, 'spot')
+          : landedCost;
+        if (!resale) assumptions.push(`${destEntityId}: no resale price for ${productId}; resold at landed cost`);
+        add(destEntityId, 'thirdPartyRevenue', Money.of(resalePrice).times(units));
+        add(destEntityId, 'costOfSales', Money.of(landedCost).times(units));
+
+        for (const charge of source.intercompanyCharges || []) {
+          add(charge.fromEntity, charge.transferType === 'royalty' ? 'royaltiesReceived' : 'feesReceived',
+            Money.of(charge.amount).times(units));
         }
       }
+    }
+
+    for (const charge of this.entityCharges.get(period)?.charges || []) {
+      add(charge.fromEntity, charge.itemTypes.includes('royalty') ? 'royaltiesReceived' : 'feesReceived', charge.amount);
+      add(charge.toEntity, 'chargesPaid', charge.amount);
+    }
+    for (const trueUp of trueUps) {
+      add(trueUp.fromEntity, 'trueUpAdjustments', trueUp.amount);
+      add(trueUp.toEntity, 'trueUpAdjustments', -trueUp.amount);
+    }
+    for (const entity of this.entityManager.getAllEntities()) {
+      const pools = this.getEntityPoolCost(entity.id, period, targetCurrency);
+      if (pools) add(entity.id, 'operatingCosts', pools);
+    }
 
-      // Recalculate
-      this.costState = new CostState();
-      const scenarioResult = this.calculate(options);
+    // Intercompany revenue and charges cancel out across the group
+    const group = { thirdPartyRevenue: 0, preTaxProfit: 0, tax: 0 };
+    for (const entry of Object.values(entities)) {
+      entry.revenue = Money.of(entry.intercompanyRevenue).plus(entry.thirdPartyRevenue)
+        .plus(entry.royaltiesReceived).plus(entry.feesReceived).toNumber();
+      entry.costsIncurred = Money.of(entry.costOfSales).plus(entry.chargesPaid).plus(entry.operatingCosts).toNumber();
+      entry.preTaxProfit = Money.of(entry.revenue).minus(entry.costsIncurred).plus(entry.trueUpAdjustments).toNumber();
+      entry.taxRate = this.entityManager.getTaxRate(entry.entityId);
+      // Losses are not relieved within the period
+      entry.tax = entry.preTaxProfit > 0 ? Money.of(entry.preTaxProfit).times(entry.taxRate).toNumber() : 0;
+      entry.effectiveTaxRate = entry.preTaxProfit > 0 ? entry.tax / entry.preTaxProfit : null;
+
+      for (const field of Object.keys(group)) {
+        group[field] = Money.of(group[field]).plus(entry[field]).toNumber();
+      }
+    }
+    group.effectiveTaxRate = group.preTaxProfit > 0 ? group.tax / group.preTaxProfit : null;
 
-      // Store results
-      results[scenarioName] = scenarioResult;
+    return { period, currency: targetCurrency, entities, group, assumptions: [...new Set(assumptions)] };
+  }
 
-      // Restore original state
-      this.costState = originalState;
-      this.periodCosts = originalPeriodCosts;
+  // Units moved to each distribution entity and the path they took. Supply mixes carry their
+  // units; a single-path destination without demand takes an even share of its source's
+  // production volume among the destinations that source supplies.
+  getProductFlows(productId, period, assumptions) {
+    const flows = [];
+    const unitsPending = [];
+    for (const distEntity of this.entityManager.getDistributionEntities()) {
+      const cost = this.costState.getCost(productId, distEntity.id, period);
+      if (!cost?.transferPath) continue;
+      if (cost.supplyMix) {
+        for (const line of cost.supplyMix) {
+          flows.push({ destEntityId: distEntity.id, units: line.units, transferPath: line.transferPath });
+        }
+      } else {
+        unitsPending.push({ destEntityId: distEntity.id, sourceEntity: cost.sourceEntity, transferPath: cost.transferPath });
+      }
     }
 
-    return results;
+    for (const flow of unitsPending) {
+      const sharing = unitsPending.filter(other => other.sourceEntity === flow.sourceEntity).length;
+      const units = this.getProductVolume(productId, flow.sourceEntity, period) / sharing;
+      assumptions.push(`${productId} to ${flow.destEntityId}: no demand; ${sharing === 1 ? 'all' : `1/${sharing} of`} ` +
+        `${flow.sourceEntity} production volume`);
+      flows.push({ destEntityId: flow.destEntityId, units, transferPath: flow.transferPath });
+    }
+    return flows;
   }
 
   // ============================================================================
-  // BONUS: CYCLE RESOLUTION (Iterative Convergence)
+  // BONUS: ARM'S-LENGTH COMPLIANCE
   // ============================================================================
 
-  resolveRoyaltyCycle(productId, entityId, period, targetCurrency, maxIterations = 10, tolerance = 0.01) {
-    let prevCost = 0;
-    let currentCost = this.costState.getCost(productId, entityId, period)?.totalCost || 0;
-    let iterations = 0;
-
-    while (Math.abs(currentCost - prevCost) > tolerance && iterations < maxIterations) {
-      prevCost = currentCost;
+  // Tests the intercompany transactions realized in a calculated period against the benchmarks:
+  // every goods hop of the product flows (markup of the invoice over the seller's cost), the
+  // royalties and fees on the units each manufacturer sells (rate on the charge base) and the
+  // entity-level charges. Each finding carries the adjustment that brings the transaction to
+  // the benchmark median. With autoTrueUp, out-of-range transactions are trued up to the median
+  // at fiscal year-end; the true-ups go to the entity P&L while unit costs stay as invoiced.
+  checkCompliance(productIds, period, targetCurrency) {
+    // A hop or charge shared by several flows has the same unit price on each
+    const transactions = new Map();
+    const record = (transaction, units) => {
+      const key = [transaction.transactionType, transaction.productId, transaction.fromEntity, transaction.toEntity].join(':');
+      if (transactions.has(key)) transactions.get(key).units += units;
+      else transactions.set(key, { ...transaction, units });
+    };
 
-      // Recalculate with current cost as base for royalty
-      this.calculateBaseCost(productId, entityId, period, targetCurrency);
+    for (const productId of productIds) {
+      for (const { units, transferPath } of this.getProductFlows(productId, period, [])) {
+        for (let i = 1; i < transferPath.length; i++) {
+          const hop = transferPath[i];
+          record({
+            transactionType: 'goods',
+            productId,
+            fromEntity: transferPath[i - 1].entity,
+            toEntity: hop.entity,
+            basis: 'markup-on-cost',
+            base: transferPath[i - 1].cost,
+            amount: Money.of(hop.cost).minus(hop.duty || 0).minus(hop.fxDifference || 0).toNumber()
+          }, units);
+        }
 
-      // Apply royalty rules
-      for (const ruleId of this.ruleEngine.getExecutionOrder()) {
-        const rule = this.ruleEngine.getRule(ruleId);
-        if (rule.type === 'transfer-price' && rule.transferType === 'royalty') {
-          this.applyRule(rule, productId, entityId, period, targetCurrency);
+        const source = this.costState.getCost(productId, transferPath[0].entity, period);
+        for (const charge of source.intercompanyCharges || []) {
+          record({
+            transactionType: charge.transferType,
+            productId,
+            fromEntity: charge.fromEntity,
+            toEntity: transferPath[0].entity,
+            basis: 'rate-on-base',
+            base: charge.base,
+            amount: charge.amount
+          }, units);
         }
       }
+    }
+    // Entity-level charges are period totals rather than unit prices
+    for (const charge of this.entityCharges.get(period)?.charges || []) {
+      record({
+        transactionType: charge.itemTypes[0],
+        productId: null,
+        fromEntity: charge.fromEntity,
+        toEntity: charge.toEntity,
+        basis: charge.markupType === 'cost-plus' ? 'markup-on-cost' : 'rate-on-base',
+        base: charge.base,
+        amount: charge.amount
+      }, null);
+    }
+
+    const yearEnd = this.calendar.isYearEnd(period);
+    const applyTrueUps = this.complianceTester.autoTrueUp && yearEnd;
+    const findings = [];
+    const trueUps = [];
+    for (const transaction of transactions.values()) {
+      // Nothing to test a rate on, e.g. a service provider without costs in the period
+      if (!transaction.base) continue;
+      const { transactionType, productId, fromEntity, toEntity, basis, base, amount, units } = transaction;
+      const markupOnCost = basis === 'markup-on-cost' ? 1 : 0;
+      const country = this.entityManager.getEntity(fromEntity)?.country || null;
+      const realized = Money.of(amount).dividedBy(base).minus(markupOnCost).toNumber();
+      const finding = { ...transaction, country, ...this.complianceTester.test(transactionType, country, realized), adjustment: null };
+
+      if (finding.benchmark) {
+        const { median } = finding.benchmark;
+        const adjustment = this.roundMoney(
+          Money.of(base).times(Money.of(median).plus(markupOnCost)).minus(amount), targetCurrency, 'rule');
+        finding.adjustment = {
+          rate: Money.of(median).minus(finding.realized).toNumber(),
+          perUnit: units === null ? null : adjustment,
+          amount: units === null ? adjustment : this.roundMoney(Money.of(adjustment).times(units), targetCurrency, 'rule')
+        };
+      }
+      findings.push(finding);
 
-      currentCost = this.costState.getCost(productId, entityId, period)?.totalCost || 0;
-      iterations++;
+      if (applyTrueUps && (finding.status === 'below-range' || finding.status === 'above-range') && finding.adjustment.amount) {
+        const trueUp = { transactionType, productId, fromEntity, toEntity, amount: finding.adjustment.amount };
+        trueUps.push(trueUp);
+        this.auditTrail.log('TRUE_UP_APPLIED', { period, ...trueUp });
+      }
+    }
+
+    return {
+      period,
+      currency: targetCurrency,
+      yearEnd,
+      autoTrueUp: this.complianceTester.autoTrueUp,
+      findings,
+      summary: this.complianceTester.summarize(findings),
+      trueUps
+    };
+  }
+
+  // ============================================================================
+  // BONUS: WHAT-IF ANALYSIS
+  // ============================================================================
+
+  // Runs each scenario on its own engine built from the configuration with the scenario's
+  // changes applied (see ScenarioBuilder). The baseline engine is never touched; a scenario
+  // that fails is reported with its error instead of results.
+  whatIf(scenarios, options = {}) {
+    const results = {};
+
+    for (const [scenarioName, changes] of Object.entries(scenarios)) {
+      try {
+        const result = this.fork(changes, options.period || DEFAULT_PERIOD).calculate(options);
+        result.metadata.scenario = { name: scenarioName, changes };
+        results[scenarioName] = result;
+      } catch (error) {
+        results[scenarioName] = { error: error.message, changes };
+      }
+    }
+
+    return results;
+  }
+
+  // A new engine on the configuration with `changes` applied. Periods this engine has
+  // calculated before `period` are recalculated first, oldest first, so lookbacks see
+  // scenario history.
+  fork(changes = [], period = null) {
+    const engine = new CostCalculator(new ScenarioBuilder(this.config).build(changes));
+    const before = period ? this.calendar.parse(period).start : Infinity;
+    const periods = Array.from(this.periodRuns.keys())
+      .filter(p => this.calendar.parse(p).start < before)
+      .sort((a, b) => this.calendar.parse(a).start - this.calendar.parse(b).start);
+    for (const p of periods) {
+      const { productIds, targetCurrency, reportingCurrency } = this.periodRuns.get(p);
+      engine.calculate({ period: p, products: productIds, targetCurrency, reportingCurrency });
+    }
+    return engine;
+  }
+
+  // Perturbs each input by +/- `perturbation` (relative) on forked engines and ranks the
+  // inputs by the elasticity of each target product/entity's total cost (landed cost at
+  // distribution entities). Targets default to every product/entity in the baseline.
+  sensitivity(options = {}) {
+    const {
+      period = DEFAULT_PERIOD,
+      targetCurrency = 'USD',
+      perturbation = 0.1,
+      inputs: kinds,
+      targets = null,
+      includeZero = false
+    } = options;
+    if (!(perturbation > 0 && perturbation < 1)) {
+      throw new Error(`Sensitivity perturbation must be between 0 and 1, got ${perturbation}`);
+    }
+
+    const runOptions = { period, targetCurrency };
+    const baseline = this.fork([], period).calculate(runOptions);
+    const analyzer = new SensitivityAnalyzer(this.config);
+    const outcomes = [];
+    const failures = [];
+    for (const input of analyzer.getInputs(period, kinds, includeZero)) {
+      if (input.zeroBase) {
+        outcomes.push({ input });
+        continue;
+      }
+      try {
+        outcomes.push({
+          input,
+          low: this.fork(input.changes(1 - perturbation), period).calculate(runOptions),
+          high: this.fork(input.changes(1 + perturbation), period).calculate(runOptions)
+        });
+      } catch (error) {
+        failures.push({ input: input.id, error: error.message });
+      }
+    }
+
+    const targetList = targets || Object.entries(baseline.costs)
+      .flatMap(([productId, entityCosts]) => Object.keys(entityCosts).map(entityId => ({ productId, entityId })));
+    return {
+      period,
+      targetCurrency,
+      perturbation,
+      inputCount: outcomes.length,
+      targets: analyzer.rank(baseline, outcomes, targetList, perturbation, includeZero),
+      failures
+    };
+  }
+
+  // Runs the period `runs` times on forked engines with uncertain inputs drawn from their
+  // distributions (see MonteCarloSimulator). The same seed reproduces the same bands.
+  simulate(options = {}) {
+    const {
+      period = DEFAULT_PERIOD,
+      targetCurrency = 'USD',
+      runs = 1000,
+      seed = Math.floor(Math.random() * 2 ** 32), // reported, so an unseeded run can be reproduced
+      uncertainties = [],
+      percentiles = [0.1, 0.5, 0.9]
+    } = options;
+    if (!Number.isInteger(runs) || runs < 1) {
+      throw new Error(`Simulation runs must be a positive integer, got ${runs}`);
+    }
+
+    const simulator = new MonteCarloSimulator(this.config, period, uncertainties);
+    const random = createRandom(seed);
+    const runOptions = { period, targetCurrency };
+    const baseline = this.fork([], period).calculate(runOptions);
+    const results = [];
+    const draws = [];
+    for (let i = 0; i < runs; i++) {
+      const { values, changes } = simulator.sample(random);
+      draws.push(values);
+      results.push(this.fork(changes, period).calculate(runOptions));
     }
 
     return {
-      converged: Math.abs(currentCost - prevCost) <= tolerance,
-      iterations,
-      finalCost: currentCost
+      period,
+      targetCurrency,
+      runs,
+      seed,
+      inputs: simulator.inputs.map(input => ({
+        id: input.id,
+        distribution: input.distribution,
+        baseValue: input.baseValue,
+        ...simulator.describe(draws.map(values => values[input.id]), percentiles)
+      })),
+      costs: simulator.summarize(baseline, results, percentiles, this.entityManager)
+    };
+  }
+
+  // ============================================================================
+  // BONUS: CYCLE RESOLUTION
+  // ============================================================================
+
+  // Charge cycles are solved by the ChargeSolver during calculate() (see getRecordCharges);
+  // this reports the royalty cycle of one calculated product/entity record
+  resolveRoyaltyCycle(productId, entityId, period, targetCurrency = 'USD') {
+    const key = this.costState.getCostKey(productId, entityId, period);
+    if (!this.chargeSolutions.has(key)) this.calculate({ period, targetCurrency });
+    const cost = this.costState.getCost(productId, entityId, period);
+    const solution = this.chargeSolutions.get(key);
+    const royalties = (solution?.charges || [])
+      .filter(charge => charge.transferType === 'royalty')
+      .map(charge => `${charge.ruleId}:${charge.fromEntity}`);
+    const cycle = solution?.cycles.find(c => c.lines.some(id => royalties.includes(id)));
+
+    return {
+      converged: cycle ? cycle.converged : true,
+      iterations: cycle ? cycle.iterations : 0,
+      residual: cycle ? cycle.residual : 0,
+      finalCost: cost?.totalCost || 0
     };
   }
 }
@@ -1227,7 +5560,26 @@ module.exports = {
   AuditTrail,
   CostState,
   BOMProcessor,
+  ItemMaster,
+  Money,
+  RoundingPolicy,
+  PeriodCalendar,
   CurrencyConverter,
   EntityManager,
-  RuleEngine
+  ConditionEvaluator,
+  DutyEngine,
+  ConsolidationEngine,
+  ChargeSolver,
+  PathSelector,
+  ComplianceTester,
+  InventoryCostingEngine,
+  MissingDataResolver,
+  ConfigValidator,
+  ScenarioBuilder,
+  ScenarioComparator,
+  SensitivityAnalyzer,
+  MonteCarloSimulator,
+  RuleEngine,
+  BUILT_IN_RULE_HANDLERS,
+  BUILT_IN_PATH_POLICIES
 };
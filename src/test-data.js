@@ -36,14 +36,32 @@ const billOfMaterials = [
   { productId: "BATTERY-HOUSING", components: [] }
 ];
 
+// Item master: classification and costing method per item
+const itemMaster = [
+  { itemId: "LAPTOP-X1", itemType: "finished-good", category: "electronics", costingMethod: "weighted-average" },
+  { itemId: "MOTHERBOARD-A", itemType: "sub-assembly", category: "electronics", costingMethod: "weighted-average" },
+  { itemId: "BATTERY-PACK", itemType: "sub-assembly", category: "electronics", costingMethod: "weighted-average" },
+  { itemId: "BMS-BOARD", itemType: "sub-assembly", category: "electronics", costingMethod: "weighted-average" },
+  { itemId: "PCB-BLANK", itemType: "raw-material", category: "components", costingMethod: "moving-average" },
+  { itemId: "CPU-CHIP", itemType: "raw-material", category: "components", costingMethod: "moving-average" },
+  { itemId: "RAM-MODULE", itemType: "raw-material", category: "components", costingMethod: "moving-average" },
+  { itemId: "DISPLAY-15", itemType: "raw-material", category: "components", costingMethod: "moving-average" },
+  { itemId: "CELL-18650", itemType: "raw-material", category: "components", costingMethod: "moving-average" },
+  { itemId: "IC-PROTECTION", itemType: "raw-material", category: "components", costingMethod: "moving-average" },
+  { itemId: "BATTERY-HOUSING", itemType: "raw-material", category: "components", costingMethod: "moving-average" },
+  { itemId: "ASSEMBLY-LABOR", itemType: "labor", category: "labor" },
+  { itemId: "SMT-LABOR", itemType: "labor", category: "labor" },
+  { itemId: "PACK-LABOR", itemType: "labor", category: "labor" }
+];
+
 const entities = [
-  { id: "CORP-HQ", type: "headquarters", country: "US", currency: "USD" },
-  { id: "MFG-CHINA", type: "manufacturing", country: "CN", currency: "CNY", parent: "CORP-HQ" },
-  { id: "MFG-MEXICO", type: "manufacturing", country: "MX", currency: "MXN", parent: "CORP-HQ" },
-  { id: "RND-GERMANY", type: "r&d", country: "DE", currency: "EUR", parent: "CORP-HQ" },
-  { id: "DIST-US", type: "distribution", country: "US", currency: "USD", parent: "CORP-HQ" },
-  { id: "DIST-EU", type: "distribution", country: "DE", currency: "EUR", parent: "CORP-HQ" },
-  { id: "IP-IRELAND", type: "ip_holder", country: "IE", currency: "EUR", parent: "CORP-HQ" }
+  { id: "CORP-HQ", type: "headquarters", country: "US", currency: "USD", taxRate: 0.21 },
+  { id: "MFG-CHINA", type: "manufacturing", country: "CN", currency: "CNY", taxRate: 0.25, parent: "CORP-HQ" },
+  { id: "MFG-MEXICO", type: "manufacturing", country: "MX", currency: "MXN", taxRate: 0.3, parent: "CORP-HQ" },
+  { id: "RND-GERMANY", type: "r&d", country: "DE", currency: "EUR", taxRate: 0.3, parent: "CORP-HQ" },
+  { id: "DIST-US", type: "distribution", country: "US", currency: "USD", taxRate: 0.21, parent: "CORP-HQ" },
+  { id: "DIST-EU", type: "distribution", country: "DE", currency: "EUR", taxRate: 0.3, parent: "CORP-HQ" },
+  { id: "IP-IRELAND", type: "ip_holder", country: "IE", currency: "EUR", taxRate: 0.125, parent: "CORP-HQ" }
 ];
 
 const transferRoutes = [
@@ -150,6 +168,7 @@ const allocationRules = [
     name: "Scrap Adjustment",
     type: "multiply",
     factor: "1 / (1 - scrapRate)",
+    outputElements: ["directMaterial", "scrapAdjustment"],
     appliesTo: { itemType: "all" },
     dependencies: ["RULE-001"],
     priority: 90
@@ -159,6 +178,7 @@ const allocationRules = [
     name: "Labor Overhead Allocation",
     type: "labor-burden",
     burdenRate: 0.35,
+    outputElements: ["directLabor", "laborBurden"],
     appliesTo: { itemType: "labor" },
     dependencies: ["RULE-001"],
     priority: 90
@@ -271,6 +291,12 @@ const costPools = {
   }
 };
 
+// Costing method overrides per product and entity (default: item master costingMethod)
+const costingMethods = {
+  "LAPTOP-X1": { "MFG-MEXICO": { method: "fifo", onHand: 40000 } },
+  "BMS-BOARD": { "MFG-CHINA": "standard" }
+};
+
 const standardCosts = {
   "LAPTOP-X1": { "MFG-CHINA": 285.00, "MFG-MEXICO": 310.00, currency: "USD" },
   "MOTHERBOARD-A": { "MFG-CHINA": 165.00, currency: "USD" },
@@ -278,8 +304,64 @@ const standardCosts = {
   "BMS-BOARD": { "MFG-CHINA": 8.50, currency: "USD" }
 };
 
+// Third-party resale prices by distribution entity, used for resale-minus transfer pricing
+const resalePrices = [
+  { productId: "LAPTOP-X1", entityId: "DIST-US", periods: {
+    "2024-Q1": { price: 649, currency: "USD" },
+    "2024-Q2": { price: 649, currency: "USD" },
+    "2024-Q3": { price: 629, currency: "USD" },
+    "2024-Q4": { price: 599, currency: "USD" }
+  }}
+];
+
+// HS classification per product, used by the customs & duty engine
+const hsCodes = {
+  "LAPTOP-X1": "8471.30",
+  "MOTHERBOARD-A": "8473.30",
+  "BATTERY-PACK": "8507.60",
+  "BMS-BOARD": "8542.39",
+  "PCB-BLANK": "8534.00",
+  "CPU-CHIP": "8542.31",
+  "RAM-MODULE": "8473.30",
+  "DISPLAY-15": "8524.11",
+  "CELL-18650": "8507.60",
+  "IC-PROTECTION": "8542.39",
+  "BATTERY-HOUSING": "3926.90"
+};
+
+// Import duty rates by destination country and HS heading; a rate applies
+// from its period until superseded
+const tariffSchedules = {
+  "US": [
+    { hsCode: "8471", description: "Automatic data processing machines", rates: { "2024-Q1": 0.025, "2024-Q3": 0.02 } },
+    { hsCode: "8507", description: "Electric accumulators", rates: { "2024-Q1": 0.034 } }
+  ],
+  "DE": [
+    { hsCode: "8471", description: "Automatic data processing machines", rates: { "2024-Q1": 0.04 } },
+    { hsCode: "8507", description: "Electric accumulators", rates: { "2024-Q1": 0.027 } }
+  ]
+};
+
+// Preferential trade agreements: goods originating in and shipped to member countries are duty-free
+const tradeAgreements = [
+  { id: "USMCA", name: "United States-Mexico-Canada Agreement", countries: ["US", "MX", "CA"], preferentialRate: 0 },
+  { id: "EU-CU", name: "EU Customs Union", countries: ["DE", "IE", "FR", "NL", "IT", "ES"], preferentialRate: 0 }
+];
+
+// Arm's-length benchmarks: interquartile ranges of comparable markups (goods, cost-plus
+// services) or rates (royalties, fees) by transaction type, optionally by country
+const benchmarks = [
+  { transactionType: "goods", country: "MX", lowerQuartile: 0.06, median: 0.09, upperQuartile: 0.13 },
+  { transactionType: "goods", country: "CN", lowerQuartile: 0.04, median: 0.07, upperQuartile: 0.10 },
+  { transactionType: "goods", lowerQuartile: 0.05, median: 0.08, upperQuartile: 0.12 },
+  { transactionType: "royalty", country: "IE", lowerQuartile: 0.02, median: 0.035, upperQuartile: 0.05 },
+  { transactionType: "mgmt-fee", lowerQuartile: 0.025, median: 0.03, upperQuartile: 0.04 },
+  { transactionType: "r&d-service", lowerQuartile: 0.05, median: 0.08, upperQuartile: 0.10 }
+];
+
 module.exports = {
   billOfMaterials,
+  itemMaster,
   entities,
   transferRoutes,
   periodCosts,
@@ -287,5 +369,11 @@ module.exports = {
   allocationRules,
   productionVolumes,
   costPools,
-  standardCosts
+  standardCosts,
+  costingMethods,
+  resalePrices,
+  hsCodes,
+  tariffSchedules,
+  tradeAgreements,
+  benchmarks
 };
@@ -2,7 +2,10 @@
  * Test Suite for Supply Chain Cost Allocation Engine
  */
 
-const { CostCalculator, Graph, BOMProcessor, AuditTrail } = require('./index');
+const {
+  CostCalculator, Graph, BOMProcessor, AuditTrail, CurrencyConverter, ConditionEvaluator, DutyEngine, RuleEngine,
+  PeriodCalendar, Money, RoundingPolicy, ChargeSolver, PathSelector
+} = require('./index');
 const testData = require('./test-data');
 
 // ============================================================================
@@ -131,6 +134,15 @@ function runUnitTests() {
     assertEqual(paths.length, 2, 'Should find 2 paths');
   });
 
+  test('path finding honors an edge filter', () => {
+    const g = new Graph();
+    g.addEdge('A', 'B', { itemTypes: ['goods'] });
+    g.addEdge('B', 'D', { itemTypes: ['service'] });
+    g.addEdge('A', 'D', { itemTypes: ['goods'] });
+    const paths = g.findAllPaths('A', 'D', 10, edge => edge.itemTypes.includes('goods'));
+    assertEqual(paths.length, 1, 'Only the direct goods edge');
+  });
+
   section('BOM Processor');
 
   test('validates BOM without cycles', () => {
@@ -170,6 +182,112 @@ function runUnitTests() {
     // RAM quantity should be ~2.02 (2 * 1/(1-0.01) scrap adjustment)
     assertApproxEqual(materials.get('RAM-MODULE'), 2.02, 0.01, 'RAM quantity with scrap');
   });
+
+  section('Rule Engine - Handler Registry');
+
+  test('rejects unknown rule types at construction', () => {
+    const rules = [{ id: 'R1', type: 'does-not-exist', dependencies: [] }];
+    assertThrows(() => new RuleEngine(rules, new AuditTrail()), 'Unknown type should fail');
+  });
+
+  test('validates rule parameters against handler schema', () => {
+    const rules = [{ id: 'R1', type: 'labor-burden', burdenRate: 'high', dependencies: [] }];
+    let message = '';
+    try {
+      new RuleEngine(rules, new AuditTrail());
+    } catch (e) {
+      message = e.message;
+    }
+    assertTrue(message.includes('R1') && message.includes('burdenRate'), `Should name rule and parameter: ${message}`);
+  });
+
+  test('rejects base rules that are unknown or not dependencies', () => {
+    const base = { id: 'R1', type: 'labor-burden', burdenRate: 0.3, dependencies: [] };
+    const unknownBase = { id: 'R2', type: 'percentage-of-base', baseRules: ['R9'], percentage: 0.1, dependencies: ['R1'] };
+    const unordered = { id: 'R2', type: 'percentage-of-base', baseRules: ['R1'], percentage: 0.1, dependencies: [] };
+    assertThrows(() => new RuleEngine([base, unknownBase], new AuditTrail()), 'Unknown base rule');
+    assertThrows(() => new RuleEngine([base, unordered], new AuditTrail()), 'Base rule must run first');
+  });
+
+  test('evaluates appliesTo against item and entity scope', () => {
+    const engine = new RuleEngine(testData.allocationRules, new AuditTrail());
+    const rnd = engine.getRule('RULE-005');
+    const overhead = engine.getRule('RULE-004');
+    const laptop = testData.itemMaster.find(i => i.itemId === 'LAPTOP-X1');
+    const pcb = testData.itemMaster.find(i => i.itemId === 'PCB-BLANK');
+    const china = testData.entities.find(e => e.id === 'MFG-CHINA');
+    const dist = testData.entities.find(e => e.id === 'DIST-US');
+    assertTrue(engine.checkAppliesTo(rnd, { productId: 'LAPTOP-X1', item: laptop, entity: china }).applies, 'Electronics');
+    assertTrue(!engine.checkAppliesTo(rnd, { productId: 'PCB-BLANK', item: pcb, entity: china }).applies, 'Components');
+    assertTrue(!engine.checkAppliesTo(overhead, { productId: 'LAPTOP-X1', item: laptop, entity: dist }).applies, 'Entity type');
+    assertTrue(!engine.checkAppliesTo(rnd, { productId: 'UNKNOWN', item: undefined, entity: china }).applies, 'No master entry');
+  });
+
+  test('accepts custom rule types from registered handlers', () => {
+    const handler = { type: 'freight-uplift', schema: { rate: { type: 'number', required: true } }, apply: () => 0 };
+    const rules = [{ id: 'R1', type: 'freight-uplift', rate: 0.05, dependencies: [] }];
+    const engine = new RuleEngine(rules, new AuditTrail(), [handler]);
+    assertEqual(engine.getHandler('freight-uplift').type, 'freight-uplift');
+  });
+
+  section('Condition Evaluator');
+
+  test('evaluates customs rule conditions', () => {
+    const evaluator = new ConditionEvaluator();
+    const context = { crossBorder: true, destCountry: 'US' };
+    assertTrue(evaluator.evaluate("crossBorder && destCountry == 'US'", context), 'US condition');
+    assertTrue(!evaluator.evaluate("crossBorder && destCountry == 'DE'", context), 'DE condition');
+    assertTrue(evaluator.evaluate("!(destCountry != 'US') || false", context), 'Negation and grouping');
+  });
+
+  test('rejects malformed conditions', () => {
+    const evaluator = new ConditionEvaluator();
+    assertThrows(() => evaluator.compile("crossBorder &&"), 'Dangling operator');
+    assertThrows(() => evaluator.compile("(crossBorder"), 'Unbalanced parenthesis');
+  });
+
+  section('Duty Engine');
+
+  const dutyRule = testData.allocationRules.find(r => r.id === 'RULE-009');
+  const dutyEngine = new DutyEngine(testData, [dutyRule], new CurrencyConverter(testData.exchangeRates));
+  const entity = (id) => testData.entities.find(e => e.id === id);
+
+  test('trade agreement zeroes duty for qualifying origin', () => {
+    const assessment = dutyEngine.assessDuty({
+      productId: 'LAPTOP-X1', originEntity: entity('MFG-MEXICO'), fromEntity: entity('MFG-MEXICO'),
+      toEntity: entity('DIST-US'), customsValue: 100, period: '2024-Q4'
+    });
+    assertEqual(assessment.tradeAgreement, 'USMCA');
+    assertEqual(assessment.duty, 0);
+  });
+
+  test('goods routed through a member country keep their origin', () => {
+    const assessment = dutyEngine.assessDuty({
+      productId: 'LAPTOP-X1', originEntity: entity('MFG-CHINA'), fromEntity: entity('MFG-MEXICO'),
+      toEntity: entity('DIST-US'), customsValue: 100, period: '2024-Q4'
+    });
+    assertEqual(assessment.tradeAgreement, null);
+    assertEqual(assessment.basis, 'tariff-schedule');
+  });
+
+  test('tariff schedule rates are period-effective', () => {
+    const assess = (period) => dutyEngine.assessDuty({
+      productId: 'LAPTOP-X1', originEntity: entity('MFG-CHINA'), fromEntity: entity('MFG-CHINA'),
+      toEntity: entity('DIST-US'), customsValue: 100, period
+    });
+    assertApproxEqual(assess('2024-Q2').duty, 2.5, 0.0001, 'Q2 uses the Q1 rate');
+    assertApproxEqual(assess('2024-Q4').duty, 2.0, 0.0001, 'Q4 uses the Q3 rate');
+  });
+
+  test('falls back to rule conditions without a tariff line', () => {
+    const assessment = dutyEngine.assessDuty({
+      productId: 'BATTERY-HOUSING', originEntity: entity('MFG-CHINA'), fromEntity: entity('MFG-CHINA'),
+      toEntity: entity('DIST-EU'), customsValue: 100, period: '2024-Q4'
+    });
+    assertEqual(assessment.basis, 'rule-condition');
+    assertEqual(assessment.ruleId, 'RULE-009');
+    assertApproxEqual(assessment.duty, 4, 0.0001, 'DE condition rate');
+  });
 }
 
 // ============================================================================
@@ -236,6 +354,118 @@ function runIntegrationTests() {
     assertTrue(laptopCost.breakdown.factoryOverhead > 0, 'Should have factory overhead');
   });
 
+  test('percentage-of-base resolves renamed base rules', () => {
+    const rename = { 'RULE-002': 'SCRAP', 'RULE-003': 'LABOR-BURDEN' };
+    const allocationRules = testData.allocationRules.map(rule => ({
+      ...rule,
+      id: rename[rule.id] || rule.id,
+      dependencies: (rule.dependencies || []).map(d => rename[d] || d),
+      ...(rule.baseRules && { baseRules: rule.baseRules.map(b => rename[b] || b) })
+    }));
+    const renamed = new CostCalculator({ ...testData, allocationRules }).calculate({ period: '2024-Q4' });
+    const original = calculator.calculate({ period: '2024-Q4' });
+    assertApproxEqual(renamed.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.factoryOverhead,
+      original.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.factoryOverhead, 0.0001, 'Same overhead');
+    assertTrue(original.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.factoryOverhead > 0, 'Non-zero overhead');
+  });
+
+  test('percentage-of-base falls back to recorded rule outputs', () => {
+    const allocationRules = [
+      ...testData.allocationRules,
+      { id: 'RULE-RND-MARKUP', name: 'R&D Handling', type: 'percentage-of-base', baseRules: ['RULE-005'],
+        percentage: 0.1, dependencies: ['RULE-005'] }
+    ];
+    const result = new CostCalculator({ ...testData, allocationRules }).calculate({ period: '2024-Q4' });
+    const contribution = result.costs['LAPTOP-X1']['MFG-CHINA'].contributions.find(c => c.ruleId === 'RULE-RND-MARKUP');
+    const rnd = result.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.rndAmortization;
+    assertTrue(rnd > 0, 'R&D amortization present');
+    assertApproxEqual(contribution.amount, rnd * 0.1, 0.0001, 'Based on RULE-005 output');
+  });
+
+  test('R&D amortization skips raw materials and records the skip', () => {
+    const result = calculator.calculate({ period: '2024-Q4' });
+    assertEqual(result.costs['PCB-BLANK']['MFG-CHINA'].breakdown.rndAmortization, 0);
+    assertTrue(result.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.rndAmortization > 0, 'Applies to electronics');
+    const skip = result.auditTrail.events.find(e => e.event === 'RULE_SKIPPED' &&
+      e.details.ruleId === 'RULE-005' && e.details.productId === 'PCB-BLANK');
+    assertTrue(skip !== undefined && skip.details.reason.includes('productCategory'), 'Skip recorded with reason');
+  });
+
+  test('pool allocation reconciles back to the pool amount', () => {
+    const result = calculator.calculate({ period: '2024-Q4' });
+    const allocation = result.allocations.find(a => a.ruleId === 'RULE-005');
+    assertTrue(allocation.reconciled, 'Should reconcile');
+    assertApproxEqual(allocation.absorbedAmount, allocation.poolAmount, 0.01, 'Absorbed = pool');
+    const shares = allocation.lines.reduce((sum, line) => sum + line.share, 0);
+    assertApproxEqual(shares, 1, 1e-9, 'Shares sum to 1');
+  });
+
+  test('allocation follows the selected driver', () => {
+    const allocationRules = testData.allocationRules.map(rule =>
+      rule.id === 'RULE-005' ? { ...rule, allocationBase: 'labor-hours' } : rule);
+    const result = new CostCalculator({ ...testData, allocationRules }).calculate({ period: '2024-Q4' });
+    const laptop = result.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.rndAmortization;
+    const bms = result.costs['BMS-BOARD']['MFG-CHINA'].breakdown.rndAmortization;
+    // 2.5 labor hours per laptop vs ~0.1 per BMS board
+    assertTrue(laptop > bms * 20, `Laptop should carry far more R&D per unit (${laptop} vs ${bms})`);
+    assertTrue(result.allocations[0].reconciled, 'Labor-hours allocation reconciles');
+  });
+
+  test('allocation does not depend on the products requested', () => {
+    for (const allocationBase of ['production-volume', 'material-cost']) {
+      const allocationRules = testData.allocationRules.map(rule =>
+        rule.id === 'RULE-005' ? { ...rule, allocationBase } : rule);
+      const data = { ...testData, allocationRules };
+      const full = new CostCalculator(data).calculate({ period: '2024-Q4' });
+      const filtered = new CostCalculator(data).calculate({ period: '2024-Q4', products: ['LAPTOP-X1'] });
+
+      assertEqual(Object.keys(filtered.costs).join(), 'LAPTOP-X1', 'Only the requested product is reported');
+      assertEqual(filtered.allocations[0].lines.length, full.allocations[0].lines.length, `${allocationBase} lines`);
+      for (const entityId of ['MFG-CHINA', 'MFG-MEXICO', 'DIST-US']) {
+        const a = full.costs['LAPTOP-X1'][entityId];
+        const b = filtered.costs['LAPTOP-X1'][entityId];
+        assertApproxEqual(b.breakdown.rndAmortization, a.breakdown.rndAmortization, 1e-9, `${allocationBase} R&D at ${entityId}`);
+        assertApproxEqual(b.totalCost, a.totalCost, 1e-9, `${allocationBase} total at ${entityId}`);
+      }
+    }
+  });
+
+  test('rejects unknown allocation bases', () => {
+    const allocationRules = testData.allocationRules.map(rule =>
+      rule.id === 'RULE-005' ? { ...rule, allocationBase: 'floor-space' } : rule);
+    assertThrows(() => new CostCalculator({ ...testData, allocationRules }), 'Unknown driver');
+  });
+
+  test('custom rule handler adds its own cost element', () => {
+    const freightUplift = {
+      type: 'freight-uplift',
+      schema: { rate: { type: 'number', required: true, min: 0 } },
+      inputs: ['directMaterial'],
+      outputs: ['freightUplift'],
+      apply: ({ rule, cost, record }) => {
+        const uplift = cost.directMaterial * rule.rate;
+        record(uplift, `Freight uplift: ${rule.rate * 100}% of material`);
+        return uplift;
+      }
+    };
+    const allocationRules = [
+      ...testData.allocationRules,
+      { id: 'RULE-FREIGHT', name: 'Freight Uplift', type: 'freight-uplift', rate: 0.03, dependencies: ['RULE-001'] }
+    ];
+    const calc = new CostCalculator({ ...testData, allocationRules, ruleHandlers: [freightUplift] });
+    const result = calc.calculate({ period: '2024-Q4' });
+    const laptop = result.costs['LAPTOP-X1']['MFG-CHINA'];
+    assertApproxEqual(laptop.breakdown.freightUplift, laptop.breakdown.directMaterial * 0.03, 0.005, 'Uplift amount, to the cent');
+    assertTrue(result.costs['LAPTOP-X1']['DIST-EU'].breakdown.freightUplift !== undefined, 'Carried to distribution');
+  });
+
+  test('rejects handler results for undeclared outputs', () => {
+    const rogue = { type: 'rogue', outputs: ['laborBurden'], apply: () => ({ royalty: 1 }) };
+    const allocationRules = [{ id: 'R1', type: 'rogue', dependencies: [] }];
+    const calc = new CostCalculator({ ...testData, allocationRules, ruleHandlers: [rogue] });
+    assertThrows(() => calc.calculate({ period: '2024-Q4' }), 'Undeclared output should fail');
+  });
+
   section('Transfer Pricing');
 
   test('distribution entity has transfer pricing applied', () => {
@@ -252,6 +482,680 @@ function runIntegrationTests() {
     assertTrue(distCost.breakdown.transferPath !== undefined, 'Should record path');
   });
 
+  test('goods do not travel over routes for other item types', () => {
+    const result = calculator.calculate({ period: '2024-Q4' });
+    const path = result.costs['LAPTOP-X1']['DIST-US'].breakdown.transferPath.map(p => p.entity);
+    assertTrue(!(path[0] === 'MFG-CHINA' && path[1] === 'MFG-MEXICO'), 'Sub-assembly route not used for finished goods');
+    const paths = calculator.entityManager.findTransferPaths('IP-IRELAND', 'DIST-US', 'finished-good');
+    assertEqual(paths.length, 0, 'Royalty edges are not goods flows');
+  });
+
+  test('warns when no eligible route reaches a destination', () => {
+    const result = calculator.calculate({ period: '2024-Q4' });
+    assertEqual(result.costs['MOTHERBOARD-A']['DIST-US'], undefined, 'Sub-assembly not priced at distribution');
+    const warning = result.warnings.find(w => w.type === 'UNREACHABLE_DESTINATION' &&
+      w.productId === 'MOTHERBOARD-A' && w.entityId === 'DIST-US');
+    assertTrue(warning !== undefined, 'Should warn');
+    assertEqual(warning.itemType, 'sub-assembly');
+  });
+
+  test('routes unclassified products as finished goods', () => {
+    const { itemMaster, ...withoutItems } = testData;
+    const result = new CostCalculator(withoutItems).calculate({ period: '2024-Q4', products: ['LAPTOP-X1'] });
+    assertTrue(!result.warnings.some(w => w.type === 'UNREACHABLE_DESTINATION'), 'Every destination reachable');
+    for (const entityId of ['DIST-US', 'DIST-EU']) {
+      assertTrue(result.costs['LAPTOP-X1'][entityId].breakdown.transferPath.length > 1, `Priced at ${entityId}`);
+      assertTrue(result.warnings.some(w => w.type === 'UNCLASSIFIED_ITEM' && w.entityId === entityId),
+        `Unclassified routing to ${entityId} is warned about`);
+    }
+    const routes = result.costs['LAPTOP-X1']['DIST-US'].breakdown.pathSelection.candidates.map(c => c.route.join('>'));
+    assertEqual(routes.sort().join(), 'MFG-CHINA>DIST-US,MFG-MEXICO>DIST-US', 'Sub-assembly route not used');
+  });
+
+  test('customs duties are reported separately from markup', () => {
+    const result = calculator.calculate({ period: '2024-Q4' });
+    const distCost = result.costs['LAPTOP-X1']['DIST-EU'].breakdown;
+    const sourceCost = result.costs['LAPTOP-X1'][distCost.sourceEntity];
+    assertTrue(distCost.customsDuties > 0, 'MX -> DE should attract duty');
+    assertApproxEqual(distCost.interCompanyMarkup + distCost.customsDuties,
+      result.costs['LAPTOP-X1']['DIST-EU'].totalCost - sourceCost.totalCost, 0.0001, 'Markup + duty ties to uplift');
+    assertEqual(distCost.dutyAssessments[0].basis, 'tariff-schedule');
+  });
+
+  test('resale-minus prices from resale data', () => {
+    const calc = new CostCalculator({ ...testData, transferRoutes: testData.transferRoutes.filter(r => r.from !== 'MFG-MEXICO') });
+    const result = calc.calculate({ period: '2024-Q4' });
+    const distCost = result.costs['LAPTOP-X1']['DIST-US'];
+    assertEqual(distCost.breakdown.sourceEntity, 'MFG-CHINA');
+    const hop = distCost.breakdown.transferPath[1];
+    assertEqual(hop.resalePrice, 599, 'Resale price in USD');
+    assertApproxEqual(hop.cost - distCost.breakdown.customsDuties, 599 * 0.75, 0.0001, 'Resale x (1 - margin)');
+  });
+
+  test('warns when resale-minus price is below source cost', () => {
+    const resalePrices = [{ productId: 'LAPTOP-X1', entityId: 'DIST-US', periods: { '2024-Q4': { price: 300, currency: 'USD' } } }];
+    const calc = new CostCalculator({ ...testData, resalePrices });
+    const result = calc.calculate({ period: '2024-Q4' });
+    const warning = result.warnings.find(w => w.type === 'RESALE_MINUS_BELOW_COST');
+    assertTrue(warning !== undefined, 'Should warn');
+    assertEqual(warning.sourceEntity, 'MFG-CHINA');
+    assertTrue(warning.transferPrice < warning.sourceCost, 'Price below cost');
+  });
+
+  test('warns and skips resale-minus routes without resale data', () => {
+    const calc = new CostCalculator({ ...testData, resalePrices: [] });
+    const result = calc.calculate({ period: '2024-Q4', products: ['LAPTOP-X1'] });
+    assertTrue(result.warnings.some(w => w.type === 'MISSING_RESALE_PRICE' && w.entityId === 'DIST-US'), 'Should warn');
+  });
+
+  section('Path Selection Policies');
+
+  test('reports every candidate path with the reason the winner won', () => {
+    const result = new CostCalculator(testData).calculate({ period: '2024-Q4' });
+    const selection = result.costs['LAPTOP-X1']['DIST-US'].breakdown.pathSelection;
+
+    assertEqual(selection.policy, 'lowest-landed-cost');
+    assertEqual(selection.candidates.length, 2, 'Direct paths from China and Mexico');
+    const chosen = selection.candidates.find(c => c.chosen);
+    assertEqual(chosen.route.join(), 'MFG-MEXICO,DIST-US');
+    assertTrue(selection.candidates.every(c => c.landedCost >= chosen.landedCost), 'Cheapest landed cost');
+    assertTrue(selection.reason.includes('next best MFG-CHINA -> DIST-US'), selection.reason);
+  });
+
+  test('lowest group tax weighs the margins each entity earns', () => {
+    const result = new CostCalculator({ ...testData, pathSelection: { policy: 'lowest-group-tax' } })
+      .calculate({ period: '2024-Q4' });
+    const us = result.costs['LAPTOP-X1']['DIST-US'];
+    const [winner, other] = [...us.breakdown.pathSelection.candidates].sort((a, b) => a.rank - b.rank);
+
+    // Resale-minus leaves DIST-US a thin margin taxed at 21% and MFG-CHINA the rest at 25%
+    assertEqual(us.breakdown.sourceEntity, 'MFG-CHINA');
+    assertTrue(winner.chosen && winner.groupTax < other.groupTax, 'Lower group tax wins');
+    assertTrue(winner.landedCost > other.landedCost, 'Even at a higher landed cost');
+  });
+
+  test('designated routes, route priority and per-destination policies', () => {
+    const result = new CostCalculator({
+      ...testData,
+      pathSelection: {
+        policy: 'designated-route',
+        byDestination: { 'DIST-EU': 'route-priority' },
+        designatedRoutes: [{ productId: 'LAPTOP-X1', destination: 'DIST-US', path: ['MFG-CHINA', 'DIST-US'] }],
+        routePriority: [['MFG-CHINA', 'DIST-EU'], ['MFG-MEXICO', 'DIST-EU']]
+      }
+    }).calculate({ period: '2024-Q4' });
+
+    const us = result.costs['LAPTOP-X1']['DIST-US'].breakdown;
+    assertEqual(us.sourceEntity, 'MFG-CHINA', 'Designated route wins over a cheaper one');
+    assertTrue(us.pathSelection.reason.includes('contractually designated'), us.pathSelection.reason);
+
+    const eu = result.costs['LAPTOP-X1']['DIST-EU'].breakdown.pathSelection;
+    assertEqual(eu.policy, 'route-priority');
+    assertTrue(eu.reason.includes('route priority 2 of 2'), 'No China route to the EU; next listed wins');
+
+    // A designated path that does not exist falls back to lowest landed cost, with a warning
+    const unavailable = new CostCalculator({
+      ...testData,
+      pathSelection: {
+        policy: 'designated-route',
+        designatedRoutes: [{ destination: 'DIST-US', path: ['MFG-CHINA', 'MFG-MEXICO', 'DIST-US'] }]
+      }
+    }).calculate({ period: '2024-Q4' });
+    assertEqual(unavailable.costs['LAPTOP-X1']['DIST-US'].breakdown.sourceEntity, 'MFG-MEXICO');
+    const fallback = unavailable.warnings.find(w => w.type === 'PATH_POLICY_FALLBACK' && w.entityId === 'DIST-US');
+    assertTrue(fallback && fallback.message.includes('is not an available path'), 'Fallback reported');
+  });
+
+  test('custom path policies and unknown policy names', () => {
+    const longestPath = { name: 'longest-path', rank: (candidate) => -candidate.route.length };
+    const selector = new PathSelector({ policy: 'longest-path' }, [longestPath]);
+    const candidates = [
+      { sourceEntity: 'A', route: ['A', 'C'], landedCost: 10, priceable: true },
+      { sourceEntity: 'B', route: ['B', 'X', 'C'], landedCost: 12, priceable: true }
+    ];
+    const selection = selector.select(candidates, { productId: 'P', destEntityId: 'C', targetCurrency: 'USD' });
+    assertEqual(selection.chosen.sourceEntity, 'B');
+
+    assertThrows(() => new PathSelector({ policy: 'cheapest' }), 'Unknown path policy');
+    const { errors } = CostCalculator.validate({
+      ...testData,
+      pathSelection: { routePriority: [['MFG-MARS', 'DIST-US']] }
+    });
+    assertTrue(errors.some(e => e.dataset === 'pathSelection' && e.code === 'UNKNOWN_ENTITY'), 'Unknown entity in path');
+  });
+
+  section('Multi-Source Supply');
+
+  const withSupply = (capacities, demand) => ({
+    ...testData,
+    capacities: { '2024-Q4': capacities },
+    demand: { '2024-Q4': demand }
+  });
+
+  test('allocates demand within capacity and blends the landed cost', () => {
+    const result = new CostCalculator(withSupply(
+      { 'MFG-MEXICO': { 'LAPTOP-X1': 30000 } },
+      { 'DIST-US': { 'LAPTOP-X1': 40000 }, 'DIST-EU': { 'LAPTOP-X1': 10000 } }
+    )).calculate({ period: '2024-Q4' });
+    const us = result.costs['LAPTOP-X1']['DIST-US'];
+    const eu = result.costs['LAPTOP-X1']['DIST-EU'];
+
+    // DIST-EU can only be supplied by MFG-MEXICO, so it is served before DIST-US takes the rest
+    assertEqual(eu.breakdown.supplyMix.map(l => `${l.sourceEntity}:${l.units}`).join(), 'MFG-MEXICO:10000');
+    assertEqual(us.breakdown.supplyMix.map(l => `${l.sourceEntity}:${l.units}`).join(), 'MFG-MEXICO:20000,MFG-CHINA:20000');
+    assertEqual(us.breakdown.unmetDemand, 0);
+
+    const blended = us.breakdown.supplyMix.reduce((sum, l) => sum + l.share * l.landedCost, 0);
+    assertApproxEqual(us.totalCost, blended, 0.005, 'Volume-weighted landed cost, to the cent');
+    const elements = ['directMaterial', 'directLabor', 'scrapAdjustment', 'laborBurden', 'factoryOverhead', 'rndAmortization',
+      'royalty', 'managementFee', 'interCompanyMarkup', 'customsDuties', 'fxDifference'];
+    assertApproxEqual(elements.reduce((sum, e) => sum + us.breakdown[e], 0), us.totalCost, 1e-9, 'Elements blend too');
+    assertTrue(us.groupCost < us.totalCost && us.groupCost > 0, 'Eliminations blended over both paths');
+  });
+
+  test('reports demand that capacity cannot cover', () => {
+    const result = new CostCalculator(withSupply(
+      { 'MFG-MEXICO': { 'LAPTOP-X1': 5000 }, 'MFG-CHINA': { 'LAPTOP-X1': 1000 } },
+      { 'DIST-US': { 'LAPTOP-X1': 8000 } }
+    )).calculate({ period: '2024-Q4' });
+    const us = result.costs['LAPTOP-X1']['DIST-US'].breakdown;
+
+    assertEqual(us.unmetDemand, 2000);
+    assertApproxEqual(us.supplyMix[0].share, 5 / 6, 1e-12, 'Shares of the supplied units');
+    const shortfall = result.warnings.find(w => w.type === 'SUPPLY_SHORTFALL');
+    assertTrue(shortfall && shortfall.unmet === 2000, 'Shortfall reported');
+    assertTrue(!result.costs['LAPTOP-X1']['DIST-EU'].breakdown.supplyMix, 'No demand keeps single-path pricing');
+  });
+
+  section('Entity Profit & Tax');
+
+  const withDemand = {
+    ...testData,
+    demand: { '2024-Q4': { 'DIST-US': { 'LAPTOP-X1': 10000 }, 'DIST-EU': { 'LAPTOP-X1': 5000 } } }
+  };
+
+  test('books intercompany sales, charges and tax per entity', () => {
+    const result = new CostCalculator(withDemand).calculate({ period: '2024-Q4' });
+    const { entities, group } = result.entityProfit;
+    const mexicoCost = result.costs['LAPTOP-X1']['MFG-MEXICO'];
+    const usHop = result.costs['LAPTOP-X1']['DIST-US'].breakdown.transferPath[1];
+    const euHop = result.costs['LAPTOP-X1']['DIST-EU'].breakdown.transferPath[1];
+    const invoice = (hop) => hop.cost - hop.duty - (hop.fxDifference || 0);
+
+    const mexico = entities['MFG-MEXICO'];
+    assertApproxEqual(mexico.intercompanyRevenue, 10000 * invoice(usHop) + 5000 * invoice(euHop), 1e-6, 'Sales to both distributors');
+    assertApproxEqual(mexico.costOfSales,
+      15000 * (mexicoCost.totalCost - mexicoCost.breakdown.rndAmortization), 1e-6, 'R&D booked at the pool entity');
+    assertApproxEqual(entities['IP-IRELAND'].royaltiesReceived, 15000 * mexicoCost.breakdown.royalty, 1e-6, 'Royalties per unit sold');
+    assertApproxEqual(entities['RND-GERMANY'].feesReceived, entities['IP-IRELAND'].chargesPaid, 1e-6, 'R&D service');
+    assertApproxEqual(mexico.tax, mexico.preTaxProfit * 0.30, 1e-6, 'Statutory rate');
+    assertEqual(entities['IP-IRELAND'].tax, 0, 'Loss-making entity pays no tax');
+
+    const sum = (field) => Object.values(entities).reduce((total, entry) => total + entry[field], 0);
+    assertApproxEqual(group.preTaxProfit, sum('preTaxProfit'), 1e-6);
+    assertApproxEqual(group.tax, sum('tax'), 1e-6);
+    assertApproxEqual(group.effectiveTaxRate, group.tax / group.preTaxProfit, 1e-12);
+    assertTrue(result.entityProfit.assumptions.some(note => note.includes('DIST-EU: no resale price')), 'Assumptions listed');
+  });
+
+  test('compares the tax outcome of route configurations', () => {
+    const calculator = new CostCalculator(withDemand);
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+    const scenarios = calculator.whatIf({
+      'mx-us-30': [{ type: 'routeMarkup', from: 'MFG-MEXICO', to: 'DIST-US', markupValue: 0.30 }]
+    }, { period: '2024-Q4' });
+    const report = CostCalculator.compareScenarios(baseline, scenarios);
+    const { taxImpact } = report.scenarios['mx-us-30'];
+
+    // Profit moves from DIST-US (21%) to MFG-MEXICO (30%)
+    const mexico = taxImpact.entities.find(e => e.entityId === 'MFG-MEXICO');
+    const us = taxImpact.entities.find(e => e.entityId === 'DIST-US');
+    assertTrue(mexico.delta > 0 && us.delta < 0, 'Tax shifts to Mexico');
+    assertApproxEqual(taxImpact.tax.delta, mexico.delta + us.delta, 1e-6, 'Group tax delta');
+    assertTrue(taxImpact.effectiveTaxRate.delta > 0, 'Higher effective tax rate');
+    assertTrue(CostCalculator.formatComparison(report).includes('Group tax:'), 'Printed with the table');
+  });
+
+  section("Arm's-Length Compliance");
+
+  test('classifies realized markups and rates with the adjustment to the median', () => {
+    const result = new CostCalculator(withDemand).calculate({ period: '2024-Q4' });
+    const { findings, summary, trueUps } = result.compliance;
+    const find = (type, from, to) => findings.find(f => f.transactionType === type && f.fromEntity === from && f.toEntity === to);
+
+    const eu = find('goods', 'MFG-MEXICO', 'DIST-EU');
+    assertEqual(eu.country, 'MX', 'Benchmarked in the seller country');
+    assertEqual(eu.realized, 0.15);
+    assertEqual(eu.status, 'above-range');
+    assertEqual(eu.units, 5000);
+    assertApproxEqual(eu.adjustment.rate, -0.06, 1e-12);
+    assertApproxEqual(eu.adjustment.perUnit, eu.base * 1.09 - eu.amount, 0.005, 'Invoice at the median markup');
+    assertApproxEqual(eu.adjustment.amount, eu.adjustment.perUnit * 5000, 1e-6);
+
+    assertEqual(find('goods', 'MFG-MEXICO', 'DIST-US').status, 'in-range');
+    assertEqual(find('royalty', 'IP-IRELAND', 'MFG-MEXICO').status, 'in-range');
+    const fee = find('mgmt-fee', 'CORP-HQ', 'MFG-MEXICO');
+    assertEqual(fee.status, 'below-range');
+    assertEqual(fee.benchmark.country, null, 'Falls back to the benchmark without a country');
+    assertApproxEqual(fee.adjustment.perUnit, fee.base * 0.03 - fee.amount, 0.005);
+    const rnd = find('r&d-service', 'RND-GERMANY', 'IP-IRELAND');
+    assertEqual(rnd.status, 'in-range', 'Upper quartile is in range');
+    assertEqual(rnd.units, null, 'Entity-level charge');
+
+    assertEqual(Object.values(summary).reduce((a, b) => a + b, 0), findings.length);
+    assertEqual(trueUps.length, 0, 'No true-ups unless enabled');
+  });
+
+  test('books year-end true-ups of out-of-range transactions in the entity P&L', () => {
+    const config = { ...withDemand, compliance: { autoTrueUp: true } };
+    const plain = new CostCalculator(withDemand).calculate({ period: '2024-Q4' });
+    const result = new CostCalculator(config).calculate({ period: '2024-Q4' });
+    const { trueUps, findings } = result.compliance;
+    assertEqual(trueUps.length, findings.filter(f => f.status === 'below-range' || f.status === 'above-range').length);
+
+    const eu = trueUps.find(t => t.fromEntity === 'MFG-MEXICO' && t.toEntity === 'DIST-EU');
+    const entities = result.entityProfit.entities;
+    assertApproxEqual(entities['DIST-EU'].trueUpAdjustments, -eu.amount, 1e-6, 'Refund to the buyer');
+    assertApproxEqual(entities['DIST-EU'].preTaxProfit, plain.entityProfit.entities['DIST-EU'].preTaxProfit - eu.amount, 1e-6);
+    assertApproxEqual(result.entityProfit.group.preTaxProfit, plain.entityProfit.group.preTaxProfit, 1e-6,
+      'True-ups cancel out across the group');
+    assertApproxEqual(result.costs['LAPTOP-X1']['DIST-EU'].totalCost, plain.costs['LAPTOP-X1']['DIST-EU'].totalCost, 1e-12,
+      'Unit costs stay as invoiced');
+
+    const q3 = new CostCalculator(config).calculate({ period: '2024-Q3' });
+    assertTrue(!q3.compliance.yearEnd && q3.compliance.trueUps.length === 0, 'Only at fiscal year-end');
+    const april = new PeriodCalendar({ startMonth: 4 });
+    assertTrue(april.isYearEnd('2025-Q1') && april.isYearEnd('FY2025-P12') && !april.isYearEnd('2024-Q4'));
+  });
+
+  section('Consolidation');
+
+  test('eliminates intercompany markup, royalty and management fee', () => {
+    const result = calculator.calculate({ period: '2024-Q4' });
+    const dist = result.costs['LAPTOP-X1']['DIST-US'];
+    const source = result.costs['LAPTOP-X1'][dist.breakdown.sourceEntity];
+    assertApproxEqual(source.groupCost, source.totalCost - source.breakdown.royalty - source.breakdown.managementFee,
+      0.0001, 'Source group cost');
+    assertApproxEqual(dist.groupCost, source.groupCost + dist.breakdown.customsDuties, 0.0001,
+      'Only third-party duties survive consolidation');
+    const markup = result.consolidation.eliminations.find(e =>
+      e.productId === 'LAPTOP-X1' && e.entityId === 'DIST-US' && e.type === 'markup');
+    assertEqual(markup.fromEntity, dist.breakdown.sourceEntity);
+    assertEqual(markup.toEntity, 'DIST-US');
+    assertEqual(markup.consolidatedAt, 'CORP-HQ');
+    assertApproxEqual(markup.amount, dist.breakdown.interCompanyMarkup, 0.0001, 'Markup eliminated');
+  });
+
+  test('charges from outside the group are not eliminated', () => {
+    const entities = testData.entities.map(e => e.id === 'IP-IRELAND' ? { ...e, parent: undefined } : e);
+    const result = new CostCalculator({ ...testData, entities }).calculate({ period: '2024-Q4' });
+    const china = result.costs['LAPTOP-X1']['MFG-CHINA'];
+    assertApproxEqual(china.groupCost, china.totalCost - china.breakdown.managementFee, 0.0001, 'Royalty kept');
+    assertTrue(!result.consolidation.eliminations.some(e => e.type === 'royalty'), 'No royalty eliminations');
+  });
+
+  section('Multi-Period Calculation');
+
+  test('calculates a period range in chronological order', () => {
+    const calc = new CostCalculator(testData);
+    const range = calc.calculateRange({ from: '2024-Q1', to: '2024-Q4' });
+    assertEqual(range.periods.join(','), '2024-Q1,2024-Q2,2024-Q3,2024-Q4');
+    const series = range.series['LAPTOP-X1']['MFG-CHINA'];
+    assertEqual(series.length, 4, 'One point per period');
+    assertEqual(series[0].period, '2024-Q1');
+  });
+
+  test('weighted average reads prior period results', () => {
+    const calc = new CostCalculator(testData);
+    const range = calc.calculateRange({ from: '2024-Q1', to: '2024-Q4' });
+    const [, q2, q3, q4] = range.series['LAPTOP-X1']['MFG-CHINA'];
+    const expected = q4.totalCost * 0.6 + q3.totalCost * 0.25 + q2.totalCost * 0.15;
+    assertApproxEqual(q4.weightedAverageCost, expected, 0.005, 'Three-period weighted average');
+    assertTrue(Math.abs(q4.weightedAverageCost - q4.totalCost) > 1, 'Should differ from current cost');
+  });
+
+  test('lookbacks ignore prior periods in another currency', () => {
+    const calc = new CostCalculator(testData);
+    calc.calculate({ period: '2024-Q3', targetCurrency: 'EUR' });
+    const result = calc.calculate({ period: '2024-Q4', targetCurrency: 'USD' });
+    const laptop = result.costs['LAPTOP-X1']['MFG-CHINA'];
+    assertApproxEqual(laptop.weightedAverageCost, laptop.totalCost, 0.0001, 'No cross-currency mixing');
+  });
+
+  test('rejects inverted period ranges', () => {
+    const calc = new CostCalculator(testData);
+    assertThrows(() => calc.calculateRange({ from: '2024-Q4', to: '2024-Q1' }), 'from after to');
+  });
+
+  section('Inventory Costing');
+
+  test('weighted average uses the RULE-010 weights', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    data.allocationRules.find(r => r.id === 'RULE-010').weights = { current: 0.5, 'prior-1': 0.5 };
+    const calc = new CostCalculator(data);
+    const range = calc.calculateRange({ from: '2024-Q3', to: '2024-Q4' });
+    const [q3, q4] = range.series['LAPTOP-X1']['MFG-CHINA'];
+    assertApproxEqual(q4.weightedAverageCost, (q3.totalCost + q4.totalCost) / 2, 0.005);
+    assertEqual(range.byPeriod['2024-Q4'].costs['LAPTOP-X1']['MFG-CHINA'].inventoryCost.ruleId, 'RULE-010');
+  });
+
+  test('FIFO keeps the newest layers and LIFO the oldest', () => {
+    const valueWith = (method) => {
+      const data = { ...testData, costingMethods: { 'LAPTOP-X1': { 'MFG-MEXICO': { method, onHand: 40000 } } } };
+      const range = new CostCalculator(data).calculateRange({ from: '2024-Q1', to: '2024-Q4' });
+      return range.byPeriod['2024-Q4'].costs['LAPTOP-X1']['MFG-MEXICO'].inventoryCost;
+    };
+    const fifo = valueWith('fifo');
+    const lifo = valueWith('lifo');
+    assertEqual(fifo.layers[0].period, '2024-Q4', 'FIFO holds the latest production');
+    assertEqual(lifo.layers[0].period, '2024-Q1', 'LIFO holds the earliest production');
+    assertEqual(fifo.layers.reduce((sum, l) => sum + l.quantity, 0), 40000);
+    assertTrue(Math.abs(fifo.unitCost - lifo.unitCost) > 0.01, 'Methods should value differently');
+  });
+
+  test('standard costing override uses the standard cost', () => {
+    const result = calculator.calculate({ period: '2024-Q4', targetCurrency: 'USD' });
+    const bms = result.costs['BMS-BOARD']['MFG-CHINA'].inventoryCost;
+    assertEqual(bms.method, 'standard');
+    assertApproxEqual(bms.unitCost, testData.standardCosts['BMS-BOARD']['MFG-CHINA'], 0.0001);
+  });
+
+  test('methods without data fall back to current cost with a warning', () => {
+    const data = { ...testData, costingMethods: { 'CPU-CHIP': { 'MFG-CHINA': 'fifo' } } };
+    const result = new CostCalculator(data).calculate({ period: '2024-Q4', targetCurrency: 'USD' });
+    const cpu = result.costs['CPU-CHIP']['MFG-CHINA'];
+    assertApproxEqual(cpu.inventoryCost.unitCost, cpu.totalCost, 0.0001);
+    assertTrue(result.warnings.some(w => w.type === 'INVENTORY_COSTING_FALLBACK' &&
+      w.productId === 'CPU-CHIP' && w.entityId === 'MFG-CHINA'), 'Fallback warning');
+  });
+
+  test('empty valuations fall back to current cost instead of NaN', () => {
+    const cases = {
+      'MFG-MEXICO': { costingMethods: { 'LAPTOP-X1': { 'MFG-MEXICO': { method: 'fifo', onHand: 0 } } } },
+      // No weight on the current period and no prior period calculated
+      'MFG-CHINA': {
+        allocationRules: testData.allocationRules.map(rule =>
+          rule.id === 'RULE-010' ? { ...rule, weights: { 'prior-1': 1 } } : rule)
+      }
+    };
+    for (const [entityId, overrides] of Object.entries(cases)) {
+      const result = new CostCalculator({ ...testData, ...overrides }).calculate({ period: '2024-Q4' });
+      const entry = result.costs['LAPTOP-X1'][entityId];
+      assertEqual(entry.inventoryCost.unitCost, entry.totalCost, `${entityId} valued at current cost`);
+      assertTrue(result.warnings.some(w => w.type === 'INVENTORY_COSTING_FALLBACK' &&
+        w.productId === 'LAPTOP-X1' && w.entityId === entityId), `${entityId} fallback warning`);
+      assertTrue(Number.isFinite(result.costs['LAPTOP-X1']['DIST-US'].totalCost), 'Transfer price is finite');
+      assertTrue(Number.isFinite(result.entityProfit.group.preTaxProfit), 'P&L is finite');
+    }
+  });
+
+  section('Missing Data Policies');
+
+  // Period cost fixture without one period of PCB-BLANK at MFG-CHINA
+  const withoutPcbPeriod = (period) => testData.periodCosts.map(entry => {
+    if (entry.itemId !== 'PCB-BLANK' || entry.entityId !== 'MFG-CHINA') return entry;
+    const periods = { ...entry.periods };
+    delete periods[period];
+    return { ...entry, periods };
+  });
+
+  test('dropped components are reported as warnings', () => {
+    const result = calculator.calculate({ period: '2024-Q4', targetCurrency: 'USD' });
+    const dropped = result.warnings.filter(w => w.type === 'MISSING_DATA_DROPPED' && w.entityId === 'MFG-MEXICO');
+    assertTrue(dropped.some(w => w.productId === 'MOTHERBOARD-A' && w.itemId === 'SMT-LABOR' &&
+      w.dataset === 'labor' && w.period === '2024-Q4'), 'Labor rate drop reported');
+    assertTrue(dropped.some(w => w.itemId === 'CPU-CHIP' && w.dataset === 'material'), 'Material drop reported');
+  });
+
+  test('substitute policy converts another entity cost to local currency', () => {
+    const data = { ...testData, missingDataPolicies: { material: { policy: 'substitute', entity: 'MFG-CHINA' } } };
+    const result = new CostCalculator(data).calculate({ period: '2024-Q4', targetCurrency: 'USD' });
+    const cpu = result.costs['CPU-CHIP'];
+    assertApproxEqual(cpu['MFG-MEXICO'].totalCost, cpu['MFG-CHINA'].totalCost, 0.0001, 'Same cost after conversion');
+    const fallback = result.warnings.find(w => w.type === 'MISSING_DATA_FALLBACK' && w.itemId === 'CPU-CHIP');
+    assertEqual(fallback.sourceEntity, 'MFG-CHINA');
+    assertEqual(fallback.entityId, 'MFG-MEXICO');
+  });
+
+  test('carry-forward and interpolate fill period gaps', () => {
+    const carried = new CostCalculator({ ...testData, periodCosts: withoutPcbPeriod('2024-Q4'),
+      missingDataPolicies: { material: 'carry-forward' } }).calculate({ period: '2024-Q4', targetCurrency: 'CNY' });
+    assertApproxEqual(carried.costs['PCB-BLANK']['MFG-CHINA'].breakdown.directMaterial, 12.80, 0.0001, 'Q3 price carried forward');
+
+    const interpolated = new CostCalculator({ ...testData, periodCosts: withoutPcbPeriod('2024-Q3'),
+      missingDataPolicies: { material: 'interpolate' } }).calculate({ period: '2024-Q3', targetCurrency: 'CNY' });
+    assertApproxEqual(interpolated.costs['PCB-BLANK']['MFG-CHINA'].breakdown.directMaterial, (13.20 + 14.00) / 2, 0.0001,
+      'Midpoint of Q2 and Q4');
+    const warning = interpolated.warnings.find(w => w.type === 'MISSING_DATA_FALLBACK' && w.itemId === 'PCB-BLANK');
+    assertEqual(warning.sourcePeriods.join(','), '2024-Q2,2024-Q4');
+  });
+
+  test('fail policy stops the calculation', () => {
+    const calc = new CostCalculator({ ...testData, missingDataPolicies: { labor: 'fail' } });
+    assertThrows(() => calc.calculate({ period: '2024-Q4' }), 'Missing labor cost');
+  });
+
+  section('Config Validation');
+
+  test('test data validates cleanly', () => {
+    const report = CostCalculator.validate(testData);
+    assertTrue(report.valid, 'Should be valid');
+    assertEqual(report.errors.length, 0);
+  });
+
+  test('reports every problem instead of stopping at the first', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    data.billOfMaterials[0].components[0].scrapRate = 1;
+    data.billOfMaterials.push({ productId: 'CPU-CHIP', components: [] });
+    data.transferRoutes.push({ from: 'MFG-CHINA', to: 'DIST-APAC', markupType: 'cost-plus', markupValue: 0.05 });
+    data.periodCosts.push({ itemId: 'GPU-CHIP', entityId: 'MFG-CHINA', periods: { '2024-Q5': { unit: 10, currency: 'KRW' } } });
+    data.allocationRules[4].poolId = 'MISSING-POOL';
+    data.allocationRules[5].dependencies.push('RULE-999');
+    data.benchmarks[0].median = 0.2;
+
+    const report = CostCalculator.validate(data);
+    assertTrue(!report.valid, 'Should be invalid');
+    const codes = new Set(report.errors.map(e => e.code));
+    for (const code of ['INVALID_SCRAP_RATE', 'DUPLICATE_PRODUCT_ID', 'UNKNOWN_ENTITY', 'UNKNOWN_ITEM',
+      'MISSING_EXCHANGE_RATE', 'UNKNOWN_POOL', 'UNKNOWN_RULE', 'MALFORMED_PERIOD', 'INVALID_BENCHMARK']) {
+      assertTrue(codes.has(code), `Missing ${code}`);
+    }
+    const scrap = report.errors.find(e => e.code === 'INVALID_SCRAP_RATE');
+    assertEqual(scrap.path, 'billOfMaterials[0].components[0].scrapRate');
+  });
+
+  test('reports malformed entries instead of throwing', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    data.billOfMaterials.push(null);
+    data.billOfMaterials[0].components = 'bad';
+    data.transferRoutes.push(null);
+    data.periodCosts[0].periods['2024-Q1'] = null;
+    data.allocationRules.push(null);
+    data.entities.push('DIST-APAC');
+    data.exchangeRates['2024-Q1']['CNY/USD'] = null;
+
+    const report = CostCalculator.validate(data);
+    assertTrue(!report.valid, 'Should be invalid');
+    const malformed = report.errors.filter(e => e.code === 'MALFORMED_ENTRY');
+    assertEqual(malformed.map(e => e.path).sort().join(), [
+      'allocationRules[11]', 'billOfMaterials[0].components', 'billOfMaterials[11]', 'entities[7]',
+      'exchangeRates.2024-Q1.CNY/USD', 'periodCosts[0].periods.2024-Q1', 'transferRoutes[9]'
+    ].join(), 'Each malformed entry reported once');
+    assertEqual(malformed.find(e => e.path === 'billOfMaterials[0].components').message, 'Expected an array, got string');
+    assertTrue(report.errors.some(e => e.code === 'UNKNOWN_ITEM'), 'Well-formed entries are still checked');
+  });
+
+  test('flags item filters without an item master entry to read', () => {
+    const { itemMaster, ...withoutItems } = testData;
+    const errors = CostCalculator.validate(withoutItems).errors.filter(e => e.code === 'MISSING_ITEM_MASTER');
+    assertEqual(errors.map(e => e.path).join(), 'allocationRules[2].appliesTo,allocationRules[4].appliesTo,allocationRules[9].appliesTo',
+      'Every rule with an item filter');
+
+    const data = { ...testData, itemMaster: itemMaster.filter(item => item.itemId !== 'LAPTOP-X1') };
+    const warnings = CostCalculator.validate(data).warnings.filter(w => w.code === 'MISSING_ITEM_MASTER');
+    assertTrue(warnings.length > 0 && warnings.every(w => w.message.endsWith(': LAPTOP-X1')), 'Names the unlisted product');
+    const skipped = new CostCalculator(data).calculate({ period: '2024-Q4' }).warnings
+      .filter(w => w.type === 'MISSING_ITEM_MASTER' && w.ruleId === 'RULE-005');
+    assertEqual(skipped.map(w => `${w.productId}@${w.entityId}`).join(), 'LAPTOP-X1@MFG-CHINA,LAPTOP-X1@MFG-MEXICO',
+      'Skipped rules are warned about');
+  });
+
+  const rateIssues = (report) => [...report.errors, ...report.warnings].filter(issue => issue.code === 'MISSING_EXCHANGE_RATE');
+
+  test('accepts currencies quoted only inversely', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    for (const rates of Object.values(data.exchangeRates)) {
+      rates['USD/CNY'] = 1 / rates['CNY/USD'];
+      delete rates['CNY/USD'];
+    }
+    const report = CostCalculator.validate(data);
+    assertEqual(rateIssues(report).length, 0, 'USD/CNY resolves CNY to USD');
+    const converter = new CurrencyConverter(data.exchangeRates);
+    assertApproxEqual(converter.convert(100, 'CNY', 'USD', '2024-Q4'), 13.5, 1e-9);
+  });
+
+  test('accepts currencies quoted only through a cross rate', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    for (const rates of Object.values(data.exchangeRates)) {
+      rates['CNY/EUR'] = rates['CNY/USD'] / rates['EUR/USD'];
+      delete rates['CNY/USD'];
+    }
+    assertEqual(rateIssues(CostCalculator.validate(data)).length, 0, 'CNY triangulates through EUR');
+
+    delete data.exchangeRates['2024-Q1']['CNY/EUR'];
+    const partial = rateIssues(CostCalculator.validate(data));
+    assertTrue(partial.length === 1 && partial[0].severity === 'warning' && partial[0].message.includes('2024-Q1'),
+      'Only the period that cannot be resolved is reported');
+  });
+
+  section('Period Calendar');
+
+  test('parses calendar and month-based fiscal periods', () => {
+    const calendar = new PeriodCalendar({ startMonth: 4 });
+    assertEqual(calendar.getGranularity('2024-11'), 'month');
+    assertEqual(calendar.getGranularity('FY2025'), 'year');
+    assertEqual(calendar.getLength('2024'), 366, 'Leap year');
+    const q1 = calendar.parse('FY2025-Q1');
+    assertEqual(q1.start, calendar.toDay('2024-04-01'), 'April fiscal year named by its end year');
+    assertEqual(calendar.getPriorPeriods('FY2025-P01', 2).join(','), 'FY2024-P12,FY2024-P11');
+    assertEqual(calendar.getPeriodRange('2024-11', '2025-02').join(','), '2024-11,2024-12,2025-01,2025-02');
+    assertThrows(() => calendar.parse('2024-13'), 'Month out of range');
+  });
+
+  test('4-4-5 calendars split the year into 13-week quarters', () => {
+    const calendar = new PeriodCalendar({ weekPattern: [4, 4, 5], firstDay: '2024-03-31', longYears: ['FY2025'] });
+    assertEqual(calendar.getLength('FY2025-P01'), 28);
+    assertEqual(calendar.getLength('FY2025-P03'), 35);
+    assertEqual(calendar.getLength('FY2025-Q1'), 91);
+    assertEqual(calendar.getLength('FY2025'), 371, 'Long year adds a week');
+    assertEqual(calendar.parse('FY2026-P01').start, calendar.parse('FY2025').end);
+  });
+
+  test('monthly rates are averaged into a quarterly calculation', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    const labor = data.periodCosts.find(c => c.itemId === 'ASSEMBLY-LABOR' && c.entityId === 'MFG-CHINA');
+    labor.periods = { '2024-10': { unit: 48, currency: 'CNY' }, '2024-11': { unit: 50, currency: 'CNY' },
+      '2024-12': { unit: 52, currency: 'CNY' } };
+    const monthly = new CostCalculator(data).calculate({ period: '2024-Q4', targetCurrency: 'CNY' });
+    const quarterly = new CostCalculator(testData).calculate({ period: '2024-Q4', targetCurrency: 'CNY' });
+    const laborCost = (result) => result.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.componentBreakdown
+      .find(c => c.itemId === 'ASSEMBLY-LABOR').cost;
+    // Day-weighted average of 48/50/52 over Oct (31), Nov (30) and Dec (31)
+    assertApproxEqual(laborCost(monthly) / laborCost(quarterly), (48 * 31 + 50 * 30 + 52 * 31) / 92 / 50, 1e-9);
+  });
+
+  test('annual pools and quarterly volumes are spread to the calculation period', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    data.costPools['RND-POOL-2024'].periods = { '2024': { amount: 11300000, currency: 'EUR' } };
+    const quarter = new CostCalculator(data).calculate({ period: '2024-Q4', targetCurrency: 'EUR' });
+    assertApproxEqual(quarter.allocations[0].poolAmount, 11300000 * 92 / 366, 0.01, 'Q4 share of the year');
+
+    const month = new CostCalculator(testData).calculate({ period: '2024-11', targetCurrency: 'EUR' });
+    const line = month.allocations[0].lines.find(l => l.productId === 'LAPTOP-X1' && l.entityId === 'MFG-CHINA');
+    assertApproxEqual(line.volume, 70000 * 30 / 92, 0.0001, 'November share of Q4 volume');
+    assertApproxEqual(month.allocations[0].poolAmount, 2900000 * 30 / 92, 0.01);
+  });
+
+  section('Money & Rounding');
+
+  test('money arithmetic is exact decimal', () => {
+    assertEqual(Money.of(0.1).plus(0.2).toString(), '0.3');
+    assertEqual(Money.of('19.99').times(3).toString(), '59.97');
+    assertEqual(Money.of(1).dividedBy(3, 4).toString(), '0.3333');
+    assertEqual(Money.of(1e-7).toString(), '0.0000001');
+  });
+
+  test('rounding modes and minor units per currency', () => {
+    assertEqual(Money.of('2.345').round(2, 'half-even').toString(), '2.34');
+    assertEqual(Money.of('2.345').round(2, 'half-up').toString(), '2.35');
+    assertEqual(Money.of('-2.341').round(2, 'floor').toString(), '-2.35');
+    assertEqual(Money.of('2.349').round(2, 'down').toString(), '2.34');
+    const policy = new RoundingPolicy({ point: 'rule', mode: 'half-up' });
+    assertEqual(policy.round(1234.5, 'JPY'), 1235, 'JPY has no minor units');
+    assertEqual(policy.round('1.2345', 'KWD'), 1.235, 'KWD has three');
+    assertEqual(policy.apply(1.005, 'USD', 'component'), 1.005, 'Not rounded before the rounding point');
+    assertThrows(() => new RoundingPolicy({ mode: 'nearest' }), 'Unknown rounding mode');
+  });
+
+  test('per-component rounding ties elements to the total', () => {
+    const result = new CostCalculator({ ...testData, rounding: { point: 'component' } })
+      .calculate({ period: '2024-Q4', targetCurrency: 'USD' });
+    for (const entityId of ['MFG-CHINA', 'DIST-US']) {
+      const cost = result.costs['LAPTOP-X1'][entityId];
+      const elements = ['directMaterial', 'directLabor', 'laborBurden', 'factoryOverhead', 'rndAmortization',
+        'royalty', 'managementFee', 'interCompanyMarkup', 'customsDuties', 'fxDifference'];
+      const sum = elements.reduce((total, e) => total.plus(cost.breakdown[e] || 0), Money.zero());
+      assertTrue(sum.minus(cost.totalCost).isZero(), `${entityId} ties exactly: ${sum} vs ${cost.totalCost}`);
+    }
+    const lines = result.costs['LAPTOP-X1']['MFG-CHINA'].breakdown.componentBreakdown;
+    assertTrue(lines.every(line => Money.of(line.cost).scale <= 2), 'Component lines in cents');
+  });
+
+  test('rule outputs are rounded by default and point null opts out', () => {
+    assertEqual(new RoundingPolicy().point, 'rule');
+    const cents = (amount) => Money.of(amount).scale <= 2;
+    const rounded = new CostCalculator(testData).calculate({ period: '2024-Q4' });
+    const exact = new CostCalculator({ ...testData, rounding: { point: null } }).calculate({ period: '2024-Q4' });
+    for (const [productId, entities] of Object.entries(rounded.costs)) {
+      for (const [entityId, cost] of Object.entries(entities)) {
+        assertTrue(cents(cost.totalCost), `${productId} at ${entityId} in cents: ${cost.totalCost}`);
+        assertTrue(cost.breakdown.transferPath?.every(hop => cents(hop.cost)) ?? true, `${productId} at ${entityId} invoiced in cents`);
+      }
+    }
+    const laptop = exact.costs['LAPTOP-X1']['DIST-US'];
+    assertTrue(!cents(laptop.totalCost), `Unrounded without a point: ${laptop.totalCost}`);
+    assertApproxEqual(rounded.costs['LAPTOP-X1']['DIST-US'].totalCost, laptop.totalCost, 0.05, 'Rounding moves cents only');
+  });
+
+  test('reporting rounding ties elements to the total', () => {
+    const policy = new RoundingPolicy({ point: 'reporting' });
+    assertEqual(policy.roundToTotal([0.333, 0.333, 0.334], 1, 'USD').join(), '0.33,0.33,0.34', 'Largest remainder takes the cent');
+    assertEqual(policy.roundToTotal([0.336, 0.336, 0.328], 1, 'USD').join(), '0.33,0.34,0.33', 'First of the most rounded-up gives the cent back');
+    assertEqual(policy.roundToTotal([0, 1.004, 0.996], 2, 'JPY').join(), '0,1,1', 'Zero elements stay zero');
+
+    const result = new CostCalculator({ ...testData, rounding: { point: 'reporting' } })
+      .calculate({ period: '2024-Q4', targetCurrency: 'EUR', reportingCurrency: 'USD' });
+    for (const [productId, entities] of Object.entries(result.costs)) {
+      for (const [entityId, cost] of Object.entries(entities)) {
+        const sum = Object.values(cost.breakdown)
+          .filter(amount => typeof amount === 'number')
+          .reduce((total, amount) => total.plus(amount), Money.zero());
+        assertTrue(sum.minus(cost.totalCost).isZero(), `${productId} at ${entityId} ties: ${sum} vs ${cost.totalCost}`);
+        assertTrue(Money.of(cost.reporting.totalCost).scale <= 2, `${productId} at ${entityId} reported in cents`);
+      }
+    }
+  });
+
+  test('rounded results are reproducible', () => {
+    const run = () => {
+      const result = new CostCalculator({ ...testData, rounding: { point: 'reporting', mode: 'half-up' } })
+        .calculate({ period: '2024-Q4', targetCurrency: 'EUR' });
+      return JSON.stringify(Object.entries(result.costs).map(([productId, entities]) =>
+        [productId, Object.entries(entities).map(([entityId, cost]) => [entityId, cost.totalCost, cost.breakdown])]));
+    };
+    assertEqual(run(), run());
+  });
+
   section('Currency Conversion');
 
   test('costs are converted to target currency', () => {
@@ -259,6 +1163,60 @@ function runIntegrationTests() {
     assertTrue(resultUSD.metadata.targetCurrency === 'USD', 'Should be USD');
   });
 
+  test('rate types fall back to the period average', () => {
+    const converter = new CurrencyConverter({
+      '2024-Q4': { 'EUR/USD': { average: 1.10, closing: 1.12 }, 'CNY/USD': 0.135 }
+    });
+    const closing = converter.getRate('EUR', 'USD', '2024-Q4', 'closing');
+    assertEqual(closing.rate, 1.12);
+    assertEqual(closing.rateType, 'closing');
+    const spot = converter.getRate('EUR', 'USD', '2024-Q4', 'spot');
+    assertEqual(spot.rate, 1.10);
+    assertEqual(spot.rateType, 'average', 'Reports the rate type actually used');
+    assertThrows(() => converter.getRate('EUR', 'USD', '2024-Q4', 'historic'), 'Unknown rate type');
+  });
+
+  test('cross rates use direct quotes or triangulate through any currency', () => {
+    const converter = new CurrencyConverter({
+      '2024-Q4': { 'EUR/CHF': 0.95, 'CHF/JPY': 170, 'USD/EUR': 0.9 }
+    });
+    const direct = converter.getRate('CHF', 'EUR', '2024-Q4');
+    assertApproxEqual(direct.rate, 1 / 0.95, 1e-9, 'Inverse of the quoted pair');
+    const triangulated = converter.convertWithDetail(100, 'USD', 'JPY', '2024-Q4');
+    assertEqual(triangulated.path.join('>'), 'USD>EUR>CHF>JPY');
+    assertApproxEqual(triangulated.amount, 100 * 0.9 * 0.95 * 170, 1e-6);
+  });
+
+  test('missing periods use the nearest period or interpolate', () => {
+    const rates = { '2024-Q1': { 'EUR/USD': 1.08 }, '2024-Q4': { 'EUR/USD': 1.11 } };
+    const nearest = new CurrencyConverter(rates).getRate('EUR', 'USD', '2024-Q2');
+    assertEqual(nearest.sourcePeriods.join(','), '2024-Q1');
+    const interpolated = new CurrencyConverter(rates, { missingPeriod: 'interpolate' }).getRate('EUR', 'USD', '2024-Q3');
+    assertApproxEqual(interpolated.rate, 1.10, 1e-9);
+    assertEqual(interpolated.sourcePeriods.join(','), '2024-Q1,2024-Q4');
+    assertThrows(() => new CurrencyConverter(rates, { missingPeriod: 'fail' }).getRate('EUR', 'USD', '2024-Q2'));
+  });
+
+  test('transfer prices use the spot rate and reporting the closing rate', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    data.exchangeRates['2024-Q4']['MXN/USD'] = { average: 0.052, spot: 0.054 };
+    data.exchangeRates['2024-Q4']['EUR/USD'] = { average: 1.10, closing: 1.08 };
+    const result = new CostCalculator(data).calculate({ period: '2024-Q4', reportingCurrency: 'EUR' });
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+
+    const distUS = result.costs['LAPTOP-X1']['DIST-US'];
+    const hop = distUS.breakdown.transferPath[1];
+    assertEqual(hop.exchangeRate.rateType, 'spot');
+    assertApproxEqual(distUS.breakdown.interCompanyMarkup,
+      baseline.costs['LAPTOP-X1']['DIST-US'].breakdown.interCompanyMarkup, 0.0001, 'Markup unchanged');
+    assertApproxEqual(distUS.breakdown.fxDifference, hop.cost - hop.duty - distUS.breakdown.transferPath[0].cost -
+      distUS.breakdown.interCompanyMarkup, 0.0001);
+    assertTrue(distUS.breakdown.fxDifference > 0, 'Stronger spot peso raises the booked price');
+
+    assertEqual(distUS.reporting.exchangeRate.rateType, 'closing');
+    assertApproxEqual(distUS.reporting.totalCost, distUS.totalCost / 1.08, 0.005);
+  });
+
   section('Variance Calculation');
 
   test('variance is calculated against standard', () => {
@@ -317,6 +1275,248 @@ function runBonusTests() {
     assertTrue(highCost > lowCost, 'High scenario should have higher cost');
   });
 
+  test('what-if with rates, markups and rule parameters', () => {
+    const calculator = new CostCalculator(testData);
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+    const results = calculator.whatIf({
+      'weak-cny': [{ type: 'exchangeRate', from: 'CNY', to: 'USD', period: '2024-Q4', value: 0.12 }],
+      'mexico-markup': [{ type: 'routeMarkup', from: 'MFG-MEXICO', to: 'DIST-US', markupValue: 0.2 }],
+      'high-burden': [{ type: 'ruleParameter', ruleId: 'RULE-003', parameter: 'burdenRate', value: 0.5 }]
+    }, { period: '2024-Q4' });
+
+    const base = baseline.costs['LAPTOP-X1'];
+    assertTrue(results['weak-cny'].costs['LAPTOP-X1']['MFG-CHINA'].totalCost < base['MFG-CHINA'].totalCost,
+      'Weaker CNY lowers China cost in USD');
+    assertTrue(results['mexico-markup'].costs['LAPTOP-X1']['DIST-US'].breakdown.interCompanyMarkup >
+      base['DIST-US'].breakdown.interCompanyMarkup, 'Higher route markup');
+    assertApproxEqual(results['high-burden'].costs['LAPTOP-X1']['MFG-CHINA'].breakdown.laborBurden,
+      base['MFG-CHINA'].breakdown.directLabor * 0.5, 0.0001, 'Burden rate applied');
+  });
+
+  test('what-if with routes, BOM, volumes and pools', () => {
+    const calculator = new CostCalculator(testData);
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+    const results = calculator.whatIf({
+      'no-mexico-us': [{ type: 'removeRoute', from: 'MFG-MEXICO', to: 'DIST-US' }],
+      'china-eu': [
+        { type: 'removeRoute', from: 'MFG-MEXICO', to: 'DIST-EU' },
+        { type: 'addRoute', route: {
+          from: 'MFG-CHINA', to: 'DIST-EU', itemTypes: ['finished-good'], markupType: 'cost-plus', markupValue: 0.1
+        } }
+      ],
+      'more-ram': [{ type: 'bomComponent', productId: 'MOTHERBOARD-A', itemId: 'RAM-MODULE', quantity: 4, scrapRate: 0.05 }],
+      'bigger-pool': [
+        { type: 'costPool', poolId: 'RND-POOL-2024', period: '2024-Q4', amount: 5800000 },
+        { type: 'productionVolume', entityId: 'MFG-MEXICO', productId: 'LAPTOP-X1', period: '2024-Q4', value: 35000 }
+      ]
+    }, { period: '2024-Q4' });
+
+    assertEqual(results['no-mexico-us'].costs['LAPTOP-X1']['DIST-US'].breakdown.sourceEntity, 'MFG-CHINA',
+      'Re-sourced after route removal');
+    assertEqual(results['china-eu'].costs['LAPTOP-X1']['DIST-EU'].breakdown.sourceEntity, 'MFG-CHINA',
+      'Supplied over the added route');
+    assertTrue(results['more-ram'].costs['MOTHERBOARD-A']['MFG-CHINA'].breakdown.directMaterial >
+      baseline.costs['MOTHERBOARD-A']['MFG-CHINA'].breakdown.directMaterial, 'Quantity and scrap raise material');
+    assertApproxEqual(results['bigger-pool'].costs['LAPTOP-X1']['MFG-MEXICO'].breakdown.rndAmortization,
+      baseline.costs['LAPTOP-X1']['MFG-MEXICO'].breakdown.rndAmortization * 2, 0.01, 'Doubled pool');
+  });
+
+  test('scenarios run in isolation from the baseline', () => {
+    const calculator = new CostCalculator(testData);
+    const before = calculator.calculate({ period: '2024-Q4' }).costs['LAPTOP-X1']['DIST-US'].totalCost;
+    const results = calculator.whatIf({
+      'bad-rule': [{ type: 'ruleParameter', ruleId: 'RULE-003', parameter: 'burdenRate', value: -1 }],
+      'unknown-route': [{ type: 'routeMarkup', from: 'MFG-CHINA', to: 'DIST-EU', markupValue: 0.1 }],
+      'no-routes': [{ type: 'removeRoute', from: 'MFG-MEXICO', to: 'DIST-US' }]
+    }, { period: '2024-Q4' });
+
+    assertTrue(results['bad-rule'].error !== undefined, 'Invalid parameter reported');
+    assertTrue(results['unknown-route'].error !== undefined, 'Unknown route reported');
+    assertEqual(testData.transferRoutes.length, 9, 'Config not mutated');
+    assertEqual(calculator.costState.getCost('LAPTOP-X1', 'DIST-US', '2024-Q4').totalCost, before,
+      'Baseline state untouched');
+  });
+
+  section('Scenario Comparison');
+
+  test('reports deltas per product, entity and cost element', () => {
+    const calculator = new CostCalculator(testData);
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+    const scenarios = calculator.whatIf({
+      'high-cpu-cost': [{ type: 'cost', itemId: 'CPU-CHIP', entityId: 'MFG-CHINA', period: '2024-Q4', value: 1000 }]
+    }, { period: '2024-Q4' });
+    const report = CostCalculator.compareScenarios(baseline, scenarios);
+    const rows = report.scenarios['high-cpu-cost'].rows;
+
+    const motherboard = rows.find(r => r.productId === 'MOTHERBOARD-A' && r.entityId === 'MFG-CHINA');
+    const before = baseline.costs['MOTHERBOARD-A']['MFG-CHINA'].totalCost;
+    const after = scenarios['high-cpu-cost'].costs['MOTHERBOARD-A']['MFG-CHINA'].totalCost;
+    assertApproxEqual(motherboard.delta, after - before, 1e-9, 'Total delta');
+    assertApproxEqual(motherboard.percent, (after - before) / before, 1e-9, 'Percent delta');
+    const material = motherboard.elements.find(e => e.element === 'directMaterial');
+    assertTrue(material.delta > 0, 'Element delta');
+    assertTrue(!rows.some(r => r.productId === 'BATTERY-PACK'), 'Unchanged rows omitted');
+    assertTrue(Math.abs(rows[0].delta) >= Math.abs(rows[rows.length - 1].delta), 'Sorted by impact');
+  });
+
+  test('flags source entity and transfer path changes', () => {
+    const calculator = new CostCalculator(testData);
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+    const scenarios = calculator.whatIf({
+      'no-mexico-us': [{ type: 'removeRoute', from: 'MFG-MEXICO', to: 'DIST-US' }],
+      'broken': [{ type: 'removeRoute', from: 'MFG-CHINA', to: 'DIST-EU' }]
+    }, { period: '2024-Q4' });
+    const report = CostCalculator.compareScenarios(baseline, scenarios, { sortBy: 'product' });
+
+    const row = report.scenarios['no-mexico-us'].rows.find(r => r.productId === 'LAPTOP-X1' && r.entityId === 'DIST-US');
+    assertTrue(row.sourceChanged && row.pathChanged, 'Source and path flagged');
+    assertEqual(row.sourceEntity.baseline, 'MFG-MEXICO', 'Baseline source');
+    assertEqual(row.transferPath.scenario, 'MFG-CHINA -> DIST-US', 'Scenario path');
+    assertEqual(report.scenarios['no-mexico-us'].sourceChanges, 1, 'One re-sourced record');
+    assertTrue(report.scenarios.broken.error !== undefined, 'Failed scenario carried through');
+  });
+
+  test('prints the comparison as a table', () => {
+    const calculator = new CostCalculator(testData);
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+    const scenarios = calculator.whatIf({
+      'no-mexico-us': [{ type: 'removeRoute', from: 'MFG-MEXICO', to: 'DIST-US' }]
+    }, { period: '2024-Q4' });
+    const table = CostCalculator.formatComparison(CostCalculator.compareScenarios(baseline, scenarios), { limit: 1 });
+
+    assertTrue(table.includes('Scenario: no-mexico-us'), 'Scenario heading');
+    assertTrue(table.includes('source MFG-MEXICO -> MFG-CHINA'), 'Source change flag');
+    assertTrue(/LAPTOP-X1\s+DIST-US\s+58\.90/.test(table), 'Row with baseline total');
+    assertThrows(() => CostCalculator.compareScenarios(baseline, scenarios, { sortBy: 'size' }), 'Unknown sort key');
+  });
+
+  section('Sensitivity Analysis');
+
+  test('ranks cost drivers by elasticity for a target', () => {
+    const calculator = new CostCalculator(testData);
+    const result = calculator.sensitivity({
+      period: '2024-Q4',
+      perturbation: 0.1,
+      inputs: ['laborRate', 'fxRate', 'markup', 'burdenRate'],
+      targets: [{ productId: 'LAPTOP-X1', entityId: 'DIST-US' }]
+    });
+    const { totalCost, drivers } = result.targets['LAPTOP-X1']['DIST-US'];
+
+    assertTrue(drivers.length > 0, 'Should rank drivers');
+    for (let i = 1; i < drivers.length; i++) {
+      assertTrue(Math.abs(drivers[i - 1].elasticity) >= Math.abs(drivers[i].elasticity), 'Sorted by elasticity');
+    }
+    const markup = drivers.find(d => d.input === 'markup:MFG-MEXICO->DIST-US');
+    assertApproxEqual(markup.elasticity, markup.swing / totalCost / 0.2, 1e-9, 'Central-difference elasticity');
+    assertTrue(markup.high.totalCost > markup.low.totalCost, 'Higher markup raises landed cost');
+    assertApproxEqual(markup.high.value, 0.12 * 1.1, 1e-9, 'Perturbed input value');
+    assertTrue(!drivers.some(d => d.input === 'markup:MFG-CHINA->MFG-MEXICO'), 'Inputs without effect omitted');
+  });
+
+  test('runs on isolated state and validates options', () => {
+    const calculator = new CostCalculator(testData);
+    const baseline = calculator.calculate({ period: '2024-Q4' });
+    const result = calculator.sensitivity({
+      inputs: ['materialPrice'],
+      targets: [{ productId: 'MOTHERBOARD-A', entityId: 'MFG-CHINA' }]
+    });
+
+    assertEqual(result.targets['MOTHERBOARD-A']['MFG-CHINA'].drivers[0].input, 'materialPrice:CPU-CHIP@MFG-CHINA',
+      'CPU is the largest motherboard input');
+    assertEqual(calculator.costState.getCost('MOTHERBOARD-A', 'MFG-CHINA', '2024-Q4').totalCost,
+      baseline.costs['MOTHERBOARD-A']['MFG-CHINA'].totalCost, 'Baseline state untouched');
+    assertThrows(() => calculator.sensitivity({ perturbation: 1.5 }), 'Perturbation out of range');
+    assertThrows(() => calculator.sensitivity({ inputs: ['weather'] }), 'Unknown input kind');
+  });
+
+  test('lists zero inputs with includeZero and reports the values applied per rate type', () => {
+    const data = JSON.parse(JSON.stringify(testData));
+    data.exchangeRates['2024-Q4']['MXN/USD'] = { average: 0.052, spot: 0.053, closing: 0.051 };
+    const result = new CostCalculator(data).sensitivity({
+      period: '2024-Q4',
+      inputs: ['scrapRate', 'fxRate'],
+      targets: [{ productId: 'LAPTOP-X1', entityId: 'DIST-US' }],
+      includeZero: true
+    });
+    const { drivers } = result.targets['LAPTOP-X1']['DIST-US'];
+
+    const labor = drivers.find(d => d.input === 'scrapRate:ASSEMBLY-LABOR@LAPTOP-X1');
+    assertTrue(labor !== undefined && labor.zeroBase && labor.baseValue === 0, 'Zero scrap rate listed');
+    assertTrue(labor.elasticity === null && labor.low === null, 'Zero input is not perturbed');
+
+    const mxn = drivers.find(d => d.input === 'fxRate:MXN/USD');
+    assertEqual(mxn.baseValue, 0.052);
+    for (const [rateType, rate] of Object.entries({ average: 0.052, spot: 0.053, closing: 0.051 })) {
+      assertApproxEqual(mxn.low.value[rateType], rate * 0.9, 1e-12, `Low ${rateType} rate`);
+      assertApproxEqual(mxn.high.value[rateType], rate * 1.1, 1e-12, `High ${rateType} rate`);
+    }
+  });
+
+  section('Monte Carlo Simulation');
+
+  const cpuUncertainty = [
+    { type: 'cost', itemId: 'CPU-CHIP', entityId: 'MFG-CHINA', distribution: { type: 'normal', cv: 0.1 } },
+    { type: 'exchangeRate', from: 'MXN', to: 'USD', distribution: { type: 'empirical' } },
+    { type: 'productionVolume', entityId: 'MFG-MEXICO', productId: 'LAPTOP-X1',
+      distribution: { type: 'triangular', min: 30000, max: 40000 } }
+  ];
+
+  test('produces percentile bands of total and landed cost', () => {
+    const calculator = new CostCalculator(testData);
+    const result = calculator.simulate({ period: '2024-Q4', runs: 40, seed: 7, uncertainties: cpuUncertainty });
+
+    const china = result.costs['LAPTOP-X1']['MFG-CHINA'];
+    const us = result.costs['LAPTOP-X1']['DIST-US'];
+    assertEqual(china.measure, 'totalCost', 'Manufacturing total cost');
+    assertEqual(us.measure, 'landedCost', 'Distribution landed cost');
+    assertEqual(china.runs, 40, 'One value per run');
+    assertTrue(china.p10 <= china.p50 && china.p50 <= china.p90, 'Ordered bands');
+    assertTrue(china.p90 - china.p10 > 0, 'CPU price uncertainty widens China band');
+    assertApproxEqual(china.baseline, 324.36, 0.01, 'Baseline from undrawn inputs');
+    const mxn = result.inputs.find(input => input.id === 'exchangeRate:MXN/USD');
+    assertTrue(mxn.min >= 0.054 && mxn.max <= 0.058, 'Empirical draws come from prior periods');
+  });
+
+  test('same seed reproduces the simulation', () => {
+    const calculator = new CostCalculator(testData);
+    const options = { period: '2024-Q4', runs: 15, seed: 99, uncertainties: cpuUncertainty };
+    const first = calculator.simulate(options);
+    const second = calculator.simulate(options);
+    const other = calculator.simulate({ ...options, seed: 100 });
+
+    assertEqual(JSON.stringify(second.costs), JSON.stringify(first.costs), 'Identical bands');
+    assertTrue(JSON.stringify(other.costs) !== JSON.stringify(first.costs), 'Different seed, different draws');
+    const unseeded = calculator.simulate({ ...options, seed: undefined });
+    assertTrue(Number.isInteger(unseeded.seed), 'Unseeded run reports the seed it drew');
+    assertEqual(JSON.stringify(calculator.simulate({ ...options, seed: unseeded.seed }).costs), JSON.stringify(unseeded.costs),
+      'Reported seed reproduces the unseeded run');
+    assertThrows(() => calculator.simulate({ uncertainties: [
+      { type: 'cost', itemId: 'CPU-CHIP', entityId: 'MFG-CHINA', distribution: { type: 'lognormal' } }
+    ] }), 'Unknown distribution');
+  });
+
+  test('rejects distribution parameters that cannot be drawn from', () => {
+    const calculator = new CostCalculator(testData);
+    const simulate = (distribution) => calculator.simulate({ period: '2024-Q4', runs: 5, seed: 1, uncertainties: [
+      { type: 'cost', itemId: 'CPU-CHIP', entityId: 'MFG-CHINA', distribution }
+    ] });
+    assertThrows(() => simulate({ type: 'triangular', min: 700, mode: 800, max: 780 }), 'min <= mode <= max');
+    assertThrows(() => simulate({ type: 'triangular', min: 760, max: 800 }), 'min <= mode <= max');
+    assertThrows(() => simulate({ type: 'triangular', max: 800 }), 'min must be a finite number');
+    assertThrows(() => simulate({ type: 'uniform', min: 800, max: 700 }), 'max 700 is below min 800');
+    assertThrows(() => simulate({ type: 'normal', stdDev: -5 }), 'stdDev must not be negative');
+    assertThrows(() => simulate({ type: 'normal', cv: -0.1 }), 'cv must not be negative');
+
+    for (const distribution of [
+      { type: 'triangular', min: 750, max: 750 },
+      { type: 'uniform', min: 750, max: 750 },
+      { type: 'normal', stdDev: 0 }
+    ]) {
+      const input = simulate(distribution).inputs[0];
+      assertTrue(input.min === 750 && input.max === 750, `Single-point ${distribution.type} draws 750`);
+    }
+  });
+
   section('Incremental Recalculation');
 
   test('marks dependencies dirty on cost change', () => {
@@ -337,6 +1537,187 @@ function runBonusTests() {
     assertTrue(result.recalculated > 0, 'Should recalculate some items');
   });
 
+  // Full-run data with one CPU-CHIP price at MFG-CHINA changed
+  const withCpuPrice = (period, unit) => ({
+    ...testData,
+    periodCosts: testData.periodCosts.map(entry =>
+      entry.itemId === 'CPU-CHIP' && entry.entityId === 'MFG-CHINA'
+        ? { ...entry, periods: { ...entry.periods, [period]: { ...entry.periods[period], unit } } }
+        : entry)
+  });
+
+  test('dirties exactly the records calculated from a changed input', () => {
+    const calculator = new CostCalculator(testData);
+    calculator.calculate({ period: '2024-Q4' });
+
+    const dirty = calculator.updateCost('CPU-CHIP', 'MFG-CHINA', '2024-Q4', 1000);
+    assertTrue(dirty.includes('MOTHERBOARD-A:MFG-CHINA:2024-Q4'), 'BOM parent depends on component');
+    assertTrue(dirty.includes('LAPTOP-X1:MFG-CHINA:2024-Q4'), 'Grandparent depends on parent');
+    assertTrue(dirty.includes('LAPTOP-X1:DIST-US:2024-Q4'), 'Transfer destination depends on source entity');
+    assertTrue(!dirty.includes('BATTERY-PACK:MFG-CHINA:2024-Q4'), 'Unrelated product stays clean');
+    assertTrue(!dirty.includes('LAPTOP-X1:MFG-MEXICO:2024-Q4'), 'Other entity stays clean');
+    assertEqual(testData.periodCosts.find(e => e.itemId === 'CPU-CHIP' && e.entityId === 'MFG-CHINA')
+      .periods['2024-Q4'].unit, 750, 'Config is not mutated');
+  });
+
+  test('incremental results match a full run on the changed data', () => {
+    const calculator = new CostCalculator(testData);
+    calculator.calculate({ period: '2024-Q4' });
+    calculator.updateCost('CPU-CHIP', 'MFG-CHINA', '2024-Q4', 1000);
+    const result = calculator.recalculateIncremental();
+    const full = new CostCalculator(withCpuPrice('2024-Q4', 1000)).calculate({ period: '2024-Q4' });
+
+    assertEqual(result.recalculated, 4, 'Recalculates the dirty closure only');
+    const incremental = result.byPeriod['2024-Q4'];
+    for (const [productId, entityCosts] of Object.entries(full.costs)) {
+      for (const [entityId, cost] of Object.entries(entityCosts)) {
+        assertApproxEqual(incremental.costs[productId][entityId].totalCost, cost.totalCost, 1e-9,
+          `${productId} at ${entityId}`);
+        assertApproxEqual(incremental.costs[productId][entityId].groupCost, cost.groupCost, 1e-9,
+          `${productId} group cost at ${entityId}`);
+      }
+    }
+  });
+
+  test('propagates through inventory lookbacks to later periods', () => {
+    const calculator = new CostCalculator(testData);
+    calculator.calculateRange({ from: '2024-Q3', to: '2024-Q4' });
+    calculator.updateCost('CPU-CHIP', 'MFG-CHINA', '2024-Q3', 1000);
+    const result = calculator.recalculateIncremental();
+    const full = new CostCalculator(withCpuPrice('2024-Q3', 1000)).calculateRange({ from: '2024-Q3', to: '2024-Q4' });
+
+    assertTrue(result.keys.includes('LAPTOP-X1:MFG-CHINA:2024-Q4'), 'Q4 depends on Q3 through its lookback');
+    const q4 = result.byPeriod['2024-Q4'].costs['LAPTOP-X1']['MFG-CHINA'];
+    const expected = full.byPeriod['2024-Q4'].costs['LAPTOP-X1']['MFG-CHINA'];
+    assertApproxEqual(q4.totalCost, expected.totalCost, 1e-9, 'Q4 cost unchanged');
+    assertApproxEqual(q4.weightedAverageCost, expected.weightedAverageCost, 1e-9, 'Q4 average reads recalculated Q3');
+  });
+
+  test('what-if scenarios start from updated costs', () => {
+    const calculator = new CostCalculator(testData);
+    calculator.calculate({ period: '2024-Q4' });
+    calculator.updateCost('CPU-CHIP', 'MFG-CHINA', '2024-Q4', 2000);
+    const engine = calculator.recalculateIncremental().byPeriod['2024-Q4'];
+    const scenario = calculator.whatIf({ unchanged: [] }, { period: '2024-Q4' }).unchanged;
+
+    for (const entityId of ['MFG-CHINA', 'DIST-US']) {
+      assertApproxEqual(scenario.costs['LAPTOP-X1'][entityId].totalCost, engine.costs['LAPTOP-X1'][entityId].totalCost,
+        1e-9, `No-op scenario matches the engine at ${entityId}`);
+    }
+    assertEqual(testData.periodCosts.find(e => e.itemId === 'CPU-CHIP' && e.entityId === 'MFG-CHINA')
+      .periods['2024-Q4'].unit, 750, 'Config is not mutated');
+  });
+
+  section('Intercompany Charge Cycles');
+
+  test('solves royalty and management fee on each other, not on themselves', () => {
+    const result = new CostCalculator(testData).calculate({ period: '2024-Q4' });
+    const mexico = result.costs['LAPTOP-X1']['MFG-MEXICO'];
+    const { royalty, managementFee } = mexico.breakdown;
+    const beforeCharges = mexico.totalCost - royalty - managementFee;
+
+    assertApproxEqual(royalty, 0.04 * (beforeCharges + managementFee), 0.01, 'Royalty on cost plus management fee');
+    assertApproxEqual(managementFee, 0.02 * (beforeCharges + royalty), 0.01, 'Management fee on cost plus royalty');
+    const cycle = result.intercompanyCharges.cycles
+      .find(c => c.productId === 'LAPTOP-X1' && c.entityId === 'MFG-MEXICO');
+    assertEqual(cycle.lines.join(), 'RULE-006:IP-IRELAND,RULE-007:CORP-HQ');
+    assertTrue(cycle.converged && cycle.iterations > 1, 'Converged iteratively');
+    assertEqual(mexico.breakdown.intercompanyCharges.length, 2);
+  });
+
+  test('linear solution matches iteration and reports cycles that cannot converge', () => {
+    const linear = new CostCalculator({ ...testData, chargeSolver: { method: 'linear' } })
+      .calculate({ period: '2024-Q4' });
+    const iterative = new CostCalculator(testData).calculate({ period: '2024-Q4' });
+    assertApproxEqual(linear.costs['LAPTOP-X1']['MFG-CHINA'].totalCost,
+      iterative.costs['LAPTOP-X1']['MFG-CHINA'].totalCost, 1e-9, 'Same China cost');
+    assertEqual(linear.intercompanyCharges.method, 'linear');
+
+    const lines = [
+      { id: 'A', rate: 0.5, fixed: 10, dependsOn: ['B'] },
+      { id: 'B', rate: 0.5, fixed: 10, dependsOn: ['A'] },
+      { id: 'C', rate: 0.1, fixed: 0, dependsOn: ['A', 'B'] }
+    ];
+    for (const method of ['iterative', 'linear']) {
+      const solved = new ChargeSolver({ method }).solve(lines);
+      assertApproxEqual(solved.amounts.A, 10, 1e-6, `${method}: A = 0.5 * (10 + B)`);
+      assertApproxEqual(solved.amounts.C, 2, 1e-6, `${method}: C solved after the cycle`);
+      assertEqual(solved.cycles.length, 1);
+
+      const compounding = lines.map(line => ({ ...line, rate: 1 }));
+      assertTrue(!new ChargeSolver({ method }).solve(compounding).cycles[0].converged, `${method}: rates of 1 diverge`);
+    }
+    assertThrows(() => new ChargeSolver({ method: 'newton' }), 'Unknown charge solver method');
+  });
+
+  test('only charge cycles are solved in floating point, and their charges are booked rounded', () => {
+    const solved = new ChargeSolver().solve([
+      { id: 'A', rate: 0.1, fixed: 0.2, dependsOn: [] },
+      { id: 'B', rate: 0.5, fixed: 0.1, dependsOn: ['A'] }
+    ]);
+    assertEqual(solved.amounts.A, 0.02, 'Lines outside cycles are exact');
+    assertEqual(solved.amounts.B, 0.06, 'Exact on solved dependencies too');
+
+    const result = new CostCalculator({ ...testData, rounding: { point: 'component' } })
+      .calculate({ period: '2024-Q4' });
+    const mexico = result.costs['LAPTOP-X1']['MFG-MEXICO'].breakdown;
+    assertTrue(mexico.intercompanyCharges.every(charge => Money.of(charge.amount).scale <= 2), 'Cycle charges in cents');
+    assertTrue(Money.of(mexico.royalty).scale <= 2 && Money.of(mexico.managementFee).scale <= 2, 'Charge elements in cents');
+  });
+
+  test('charges entities only over service routes, with or without an item master', () => {
+    const { itemMaster, ...withoutItems } = testData;
+    const result = new CostCalculator({
+      ...withoutItems,
+      costPools: {
+        ...testData.costPools,
+        'MFG-POOL': { entityId: 'MFG-CHINA', periods: { '2024-Q4': { amount: 100000, currency: 'USD' } } }
+      }
+    }).calculate({ period: '2024-Q4' });
+    const charges = result.intercompanyCharges.entityCharges;
+    assertEqual(charges.map(c => c.id).join(), 'RND-GERMANY->IP-IRELAND:r&d-service', 'Goods routes are not charged');
+  });
+
+  test('warns when an entity-level charge leaves out the product charges its cost bearer pays', () => {
+    const period = { period: '2024-Q4' };
+    const split = (result) => result.warnings.filter(w => w.type === 'CHARGE_BASE_EXCLUDES_PRODUCT_CHARGES');
+    assertEqual(split(new CostCalculator(testData).calculate(period)).length, 0, 'R&D service bearer pays no product charges');
+
+    const result = new CostCalculator({
+      ...testData,
+      transferRoutes: [
+        ...testData.transferRoutes,
+        { from: 'MFG-CHINA', to: 'CORP-HQ', itemTypes: ['r&d-service'], markupType: 'cost-plus', markupValue: 0.05 }
+      ]
+    }).calculate(period);
+    assertEqual(split(result).map(w => w.line).join(), 'MFG-CHINA->CORP-HQ:r&d-service',
+      'MFG-CHINA pays royalties and fees per product');
+  });
+
+  test('solves entity-level charge cycles feeding the R&D service charge', () => {
+    const calculator = new CostCalculator({
+      ...testData,
+      transferRoutes: [
+        ...testData.transferRoutes,
+        { from: 'CORP-HQ', to: 'RND-GERMANY', itemTypes: ['mgmt-fee'], markupType: 'revenue-percent', markupValue: 0.05 },
+        { from: 'IP-IRELAND', to: 'RND-GERMANY', itemTypes: ['royalty'], markupType: 'revenue-percent', markupValue: 0.03 }
+      ]
+    });
+    const { intercompanyCharges } = calculator.calculate({ period: '2024-Q4' });
+    const charge = (from, to) => intercompanyCharges.entityCharges.find(c => c.fromEntity === from && c.toEntity === to).amount;
+    const pool = calculator.getEntityPoolCost('RND-GERMANY', '2024-Q4', 'USD');
+
+    const fee = charge('CORP-HQ', 'RND-GERMANY');
+    const royalty = charge('IP-IRELAND', 'RND-GERMANY');
+    assertApproxEqual(fee, 0.05 * (pool + royalty), 0.01, 'Fee on pool plus royalty');
+    assertApproxEqual(royalty, 0.03 * (pool + fee), 0.01, 'Royalty on pool plus fee');
+    assertApproxEqual(charge('RND-GERMANY', 'IP-IRELAND'), 1.1 * (pool + fee + royalty), 0.01, 'R&D service at cost plus 10%');
+
+    const cycle = intercompanyCharges.cycles.find(c => !c.productId);
+    assertEqual(cycle.lines.length, 2, 'R&D service depends on the cycle but is not part of it');
+    assertTrue(cycle.converged, 'Converged');
+  });
+
   section('Cycle Resolution (Royalty)');
 
   test('converges on royalty calculation', () => {
@@ -426,6 +1807,7 @@ function runOutputDemo() {
   console.log(`  ${colors.bright}────────────────────────────${colors.reset}`);
   console.log(`  ${colors.bright}Total Cost:            $${laptopChina.totalCost.toFixed(2)}${colors.reset}`);
   console.log(`  Weighted Avg Cost:   $${laptopChina.weightedAverageCost?.toFixed(2) || 'N/A'}`);
+  console.log(`  Inventory Cost:      $${laptopChina.inventoryCost?.unitCost.toFixed(2) || 'N/A'} (${laptopChina.inventoryCost?.method})`);
   if (laptopChina.standardCostVariance) {
     const v = laptopChina.standardCostVariance;
     const sign = v.amount >= 0 ? '+' : '';
@@ -438,7 +1820,9 @@ function runOutputDemo() {
   if (laptopDist) {
     console.log(`  Source Entity:       ${laptopDist.breakdown.sourceEntity}`);
     console.log(`  Inter-Co Markup:     $${laptopDist.breakdown.interCompanyMarkup.toFixed(2)}`);
+    console.log(`  Customs Duties:      $${laptopDist.breakdown.customsDuties.toFixed(2)}`);
     console.log(`  ${colors.bright}Total Cost:            $${laptopDist.totalCost.toFixed(2)}${colors.reset}`);
+    console.log(`  Group Cost:          $${laptopDist.groupCost.toFixed(2)} (intercompany profit eliminated)`);
   }
 
   console.log(`\n${colors.cyan}Component Cost Summary (MFG-CHINA, USD):${colors.reset}`);